@@ -0,0 +1,63 @@
+import { EventEmitter } from "events";
+import { AbortSignalLike } from "./request";
+
+class Signal implements AbortSignalLike {
+  public aborted = false;
+  private readonly emitter = new EventEmitter();
+
+  public addEventListener(type: "abort", listener: () => void) {
+    this.emitter.on(type, listener);
+  }
+
+  public removeEventListener(type: "abort", listener: () => void) {
+    this.emitter.removeListener(type, listener);
+  }
+
+  public abort() {
+    if (!this.aborted) {
+      this.aborted = true;
+      this.emitter.emit("abort");
+      this.emitter.removeAllListeners();
+    }
+  }
+}
+
+/**
+ * Used to abort requests started by perron itself, as the global
+ * `AbortController` is not available in all supported Node versions.
+ * Aborting the parent signal aborts this controller as well.
+ */
+export class AbortController {
+  public readonly signal: AbortSignalLike;
+  private readonly parent?: AbortSignalLike;
+  private readonly onParentAbort: () => void;
+
+  constructor(parent?: AbortSignalLike) {
+    const signal = new Signal();
+    this.signal = signal;
+    this.parent = parent;
+    this.onParentAbort = () => this.abort();
+    if (parent) {
+      if (parent.aborted) {
+        signal.abort();
+      } else {
+        parent.addEventListener("abort", this.onParentAbort);
+      }
+    }
+  }
+
+  public abort() {
+    this.dispose();
+    (this.signal as Signal).abort();
+  }
+
+  /**
+   * Stops following the parent signal, must be called once the controller
+   * is not needed anymore.
+   */
+  public dispose() {
+    if (this.parent) {
+      this.parent.removeEventListener("abort", this.onParentAbort);
+    }
+  }
+}
@@ -0,0 +1,100 @@
+export interface BudgetOptions {
+  /**
+   * Withdrawals allowed per deposit, e.g. 0.1 allows one in ten.
+   */
+  ratio: number;
+  /**
+   * Withdrawals per second that are allowed regardless of deposits.
+   * @default 0
+   */
+  minPerSecond?: number;
+  /**
+   * Milliseconds for which deposits and withdrawals are taken into account.
+   * @default 10000
+   */
+  ttl?: number;
+}
+
+interface Bucket {
+  index: number;
+  deposits: number;
+  withdrawals: number;
+}
+
+const NUM_BUCKETS = 10;
+
+/**
+ * Limits extra work, like hedged requests or retries, to a ratio of regular
+ * work over a sliding window, similar to the retry budget of Finagle.
+ * The window is advanced lazily, so no timers need to be cleaned up.
+ */
+export class Budget {
+  public readonly ratio: number;
+  public readonly minPerSecond: number;
+  public readonly ttl: number;
+
+  private readonly buckets: Bucket[];
+  private readonly bucketDuration: number;
+
+  constructor(options: BudgetOptions) {
+    this.ratio = options.ratio;
+    this.minPerSecond = options.minPerSecond || 0;
+    this.ttl = options.ttl || 10000;
+    if (this.ratio < 0 || this.minPerSecond < 0 || this.ttl <= 0) {
+      throw new TypeError(
+        "The budget `ratio` and `minPerSecond` must not be negative and `ttl` must be positive"
+      );
+    }
+
+    this.bucketDuration = this.ttl / NUM_BUCKETS;
+    this.buckets = [];
+    for (let i = 0; i < NUM_BUCKETS; ++i) {
+      this.buckets.push({ index: -Infinity, deposits: 0, withdrawals: 0 });
+    }
+  }
+
+  public deposit() {
+    this.currentBucket().deposits++;
+  }
+
+  /**
+   * Returns false if the budget is exhausted.
+   */
+  public tryWithdraw(): boolean {
+    if (this.balance() < 1) {
+      return false;
+    }
+    this.currentBucket().withdrawals++;
+    return true;
+  }
+
+  public balance(): number {
+    const index = this.currentIndex();
+    let deposits = 0;
+    let withdrawals = 0;
+    for (const bucket of this.buckets) {
+      if (index - bucket.index < NUM_BUCKETS) {
+        deposits += bucket.deposits;
+        withdrawals += bucket.withdrawals;
+      }
+    }
+    const reserve = (this.minPerSecond * this.ttl) / 1000;
+    return Math.floor(reserve + deposits * this.ratio - withdrawals);
+  }
+
+  private currentIndex(): number {
+    return Math.floor(Date.now() / this.bucketDuration);
+  }
+
+  private currentBucket(): Bucket {
+    const index = this.currentIndex();
+    // buckets are recycled once they fall out of the window
+    const bucket = this.buckets[index % NUM_BUCKETS];
+    if (bucket.index !== index) {
+      bucket.index = index;
+      bucket.deposits = 0;
+      bucket.withdrawals = 0;
+    }
+    return bucket;
+  }
+}
@@ -0,0 +1,145 @@
+import { AbortSignalLike } from "./request";
+
+export interface BulkheadOptions {
+  /**
+   * Maximum number of attempts in flight at the same time.
+   */
+  maxConcurrent: number;
+  /**
+   * Maximum number of attempts waiting for a free slot, others are rejected
+   * right away.
+   * @default 0
+   */
+  maxQueued?: number;
+  /**
+   * Milliseconds an attempt may wait for a free slot, unlimited if not set.
+   */
+  queueTimeout?: number;
+}
+
+export interface BulkheadMetrics {
+  inFlight: number;
+  queued: number;
+  maxConcurrent: number;
+  maxQueued: number;
+}
+
+/**
+ * Limits the number of concurrent attempts, so that a slow service cannot
+ * tie up all sockets of the process. Attempts over the limit wait in a
+ * bounded queue in the order they arrived.
+ */
+export class Bulkhead {
+  public maxConcurrent: number;
+  public readonly maxQueued: number;
+  public readonly queueTimeout?: number;
+
+  private inFlight = 0;
+  private readonly queue: Array<(error?: Error) => void> = [];
+
+  constructor(options: BulkheadOptions) {
+    this.maxConcurrent = options.maxConcurrent;
+    this.maxQueued = options.maxQueued || 0;
+    this.queueTimeout = options.queueTimeout;
+    if (!(this.maxConcurrent > 0) || this.maxQueued < 0) {
+      throw new TypeError(
+        "The bulkhead `maxConcurrent` must be positive and `maxQueued` must not be negative"
+      );
+    }
+  }
+
+  /**
+   * Resolves with a function that frees the slot again, once a slot is
+   * available. Rejects if the queue is full, the `timeout` passed or the
+   * signal fired while waiting.
+   */
+  public acquire(
+    signal?: AbortSignalLike,
+    timeout = this.queueTimeout
+  ): Promise<() => void> {
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error("aborted"));
+    }
+    if (this.inFlight < this.maxConcurrent) {
+      this.inFlight++;
+      return Promise.resolve(this.createRelease());
+    }
+    if (this.queue.length >= this.maxQueued) {
+      return Promise.reject(
+        new Error(`${this.maxConcurrent} requests in flight`)
+      );
+    }
+    return new Promise((resolve, reject) => {
+      let queueTimer: NodeJS.Timer | undefined;
+      const onAbort = () => waiter(new Error("aborted"));
+      const waiter = (error?: Error) => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        if (queueTimer) {
+          clearTimeout(queueTimer);
+        }
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        if (error) {
+          reject(error);
+        } else {
+          this.inFlight++;
+          resolve(this.createRelease());
+        }
+      };
+      this.queue.push(waiter);
+      if (timeout !== undefined) {
+        queueTimer = setTimeout(
+          () => waiter(new Error(`no free slot within ${timeout} ms`)),
+          timeout
+        );
+      }
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+    });
+  }
+
+  /**
+   * Changes the number of attempts in flight, letting waiting attempts
+   * through if it grew. Attempts in flight are not affected if it shrunk.
+   */
+  public setMaxConcurrent(maxConcurrent: number) {
+    this.maxConcurrent = maxConcurrent;
+    while (this.inFlight < this.maxConcurrent && this.queue.length > 0) {
+      this.queue[0]();
+    }
+  }
+
+  /**
+   * Rejects all waiting attempts.
+   */
+  public clear() {
+    for (const waiter of [...this.queue]) {
+      waiter(new Error("the queue was cleared"));
+    }
+  }
+
+  public getMetrics(): BulkheadMetrics {
+    return {
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued
+    };
+  }
+
+  private createRelease() {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.inFlight--;
+      if (this.inFlight < this.maxConcurrent && this.queue.length > 0) {
+        this.queue[0]();
+      }
+    };
+  }
+}
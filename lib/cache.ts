@@ -0,0 +1,437 @@
+import { IncomingHttpHeaders } from "http";
+import { Readable } from "stream";
+import { ServiceClientRequestFilter } from "./client";
+import { LruCache } from "./lru";
+import {
+  getRequestHeader,
+  getRequestPath,
+  OutgoingHttpHeaders,
+  request,
+  ServiceClientRequestOptions,
+  ServiceClientResponse
+} from "./request";
+
+/**
+ * A response as it is kept in a `CacheStore`.
+ */
+export interface CacheEntry {
+  statusCode: number;
+  headers: IncomingHttpHeaders;
+  body: Buffer | string;
+  /**
+   * Whether `body` is the JSON of a parsed body. Parsed bodies are not kept
+   * as they are, since callers could change them.
+   */
+  json?: boolean;
+  /**
+   * Milliseconds since epoch when the response was generated or last
+   * revalidated, adjusted by its `age` header.
+   */
+  storedAt: number;
+  /**
+   * Values of the request headers listed in the `vary` response header.
+   */
+  vary: { [header: string]: string | undefined };
+}
+
+/**
+ * Storage of the caching filter. All methods are async, so that entries can
+ * be kept in an external storage shared between processes.
+ */
+export interface CacheStore {
+  get(key: string): Promise<CacheEntry | undefined>;
+  /**
+   * `ttl` is the number of milliseconds the entry is useful for, it is
+   * `undefined` if the entry can be revalidated indefinitely.
+   */
+  set(key: string, entry: CacheEntry, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export interface MemoryCacheStoreOptions {
+  /**
+   * @default 1000
+   */
+  maxEntries?: number;
+}
+
+interface MemoryCacheItem {
+  entry: CacheEntry;
+  expiresAt: number;
+}
+
+/**
+ * Keeps the most recently used entries in memory.
+ */
+export class MemoryCacheStore implements CacheStore {
+  private readonly items: LruCache<string, MemoryCacheItem>;
+
+  constructor(options: MemoryCacheStoreOptions = {}) {
+    this.items = new LruCache(options.maxEntries || 1000);
+  }
+
+  public get(key: string) {
+    const item = this.items.get(key);
+    if (item && item.expiresAt <= Date.now()) {
+      this.items.delete(key);
+      return Promise.resolve(undefined);
+    }
+    return Promise.resolve(item && item.entry);
+  }
+
+  public set(key: string, entry: CacheEntry, ttl?: number) {
+    const expiresAt = ttl === undefined ? Infinity : Date.now() + ttl;
+    this.items.set(key, { entry, expiresAt });
+    return Promise.resolve();
+  }
+
+  public delete(key: string) {
+    this.items.delete(key);
+    return Promise.resolve();
+  }
+}
+
+export interface CacheFilterOptions {
+  /**
+   * @default new MemoryCacheStore()
+   */
+  store?: CacheStore;
+  /**
+   * Sends the revalidations in the background for `stale-while-revalidate`,
+   * e.g. `options => client.request(options)` to send them through the
+   * circuit breaker, rate limit and bulkhead of the client. By default they
+   * are plain HTTP requests that bypass the client, are not traced and are
+   * not stopped by `close()`.
+   */
+  revalidate?: (
+    requestOptions: ServiceClientRequestOptions
+  ) => Promise<ServiceClientResponse>;
+}
+
+interface Freshness {
+  maxAge: number;
+  staleWhileRevalidate: number;
+  staleIfError: number;
+}
+
+const CACHEABLE_METHODS = ["GET", "HEAD"];
+const CONDITIONAL_HEADERS = ["if-none-match", "if-modified-since"];
+
+/**
+ * Attached to the request options when a stale entry is revalidated, a
+ * symbol is kept when the options are copied by other filters.
+ */
+const STALE_ENTRY = Symbol("perron.staleCacheEntry");
+
+const noop = () => {
+  /* do nothing */
+};
+
+const parseCacheControl = (header: string | string[] | undefined) => {
+  const directives: { [name: string]: string | undefined } = {};
+  const value = Array.isArray(header) ? header.join(",") : header || "";
+  for (const directive of value.split(",")) {
+    const [name, argument] = directive.trim().split("=");
+    if (name) {
+      directives[name.toLowerCase()] = argument
+        ? argument.replace(/^"|"$/g, "")
+        : "";
+    }
+  }
+  return directives;
+};
+
+const toMilliseconds = (seconds: string | undefined): number => {
+  const value = seconds === undefined ? NaN : parseInt(seconds, 10);
+  return value > 0 ? value * 1000 : 0;
+};
+
+const getFreshness = (headers: IncomingHttpHeaders): Freshness => {
+  const directives = parseCacheControl(headers["cache-control"]);
+  return {
+    maxAge:
+      "no-cache" in directives ? 0 : toMilliseconds(directives["max-age"]),
+    staleWhileRevalidate: toMilliseconds(directives["stale-while-revalidate"]),
+    staleIfError: toMilliseconds(directives["stale-if-error"])
+  };
+};
+
+const getVaryHeaders = (headers: IncomingHttpHeaders): string[] => {
+  const vary = headers.vary;
+  return (Array.isArray(vary) ? vary.join(",") : vary || "")
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Responses to requests with credentials are personal, unless the service
+ * marks them as shared explicitly.
+ */
+const isSharedResponse = (
+  requestOptions: ServiceClientRequestOptions,
+  directives: { [name: string]: string | undefined }
+): boolean =>
+  !("private" in directives) &&
+  (getRequestHeader(requestOptions.headers, "authorization") === undefined ||
+    "public" in directives ||
+    "s-maxage" in directives);
+
+const getCacheKey = (options: ServiceClientRequestOptions): string => {
+  const method = (options.method || "GET").toUpperCase();
+  const protocol = options.protocol || "https:";
+  const host = options.hostname || options.host;
+  const port = options.port ? `:${options.port}` : "";
+  return `${method} ${protocol}//${host}${port}${getRequestPath(options)}`;
+};
+
+/**
+ * Only plain `GET` and `HEAD` requests are cached. Requests with their own
+ * conditional headers expect to see a `304` response and are left alone.
+ */
+const isCacheableRequest = (options: ServiceClientRequestOptions): boolean =>
+  CACHEABLE_METHODS.includes((options.method || "GET").toUpperCase()) &&
+  options.responseType !== "stream" &&
+  !(
+    "no-store" in
+    parseCacheControl(getRequestHeader(options.headers, "cache-control"))
+  ) &&
+  CONDITIONAL_HEADERS.every(
+    name => getRequestHeader(options.headers, name) === undefined
+  );
+
+const matchesVary = (
+  entry: CacheEntry,
+  options: ServiceClientRequestOptions
+): boolean =>
+  Object.keys(entry.vary).every(
+    name => getRequestHeader(options.headers, name) === entry.vary[name]
+  );
+
+/**
+ * Every cache hit gets its own copy of the body, which the caller may change.
+ */
+const getBody = (entry: CacheEntry): ServiceClientResponse["body"] => {
+  if (entry.json) {
+    return JSON.parse(entry.body as string);
+  }
+  return Buffer.isBuffer(entry.body) ? Buffer.from(entry.body) : entry.body;
+};
+
+const getAge = (entry: CacheEntry) => Date.now() - entry.storedAt;
+
+/**
+ * Entries with validators can be revalidated until they are evicted,
+ * others are only useful until they are too stale to be served.
+ */
+const getTtl = (entry: CacheEntry): number | undefined => {
+  if (entry.headers.etag || entry.headers["last-modified"]) {
+    return undefined;
+  }
+  const freshness = getFreshness(entry.headers);
+  return (
+    freshness.maxAge +
+    Math.max(freshness.staleWhileRevalidate, freshness.staleIfError) -
+    getAge(entry)
+  );
+};
+
+const withValidators = (
+  options: ServiceClientRequestOptions,
+  entry: CacheEntry
+): ServiceClientRequestOptions => {
+  const headers: OutgoingHttpHeaders = { ...options.headers };
+  if (entry.headers.etag) {
+    headers["if-none-match"] = entry.headers.etag;
+  }
+  if (entry.headers["last-modified"]) {
+    headers["if-modified-since"] = entry.headers["last-modified"];
+  }
+  return { ...options, headers };
+};
+
+/**
+ * Takes over the headers of a `304` response, which describe the cached
+ * response just like the original ones.
+ */
+const refreshEntry = (
+  entry: CacheEntry,
+  notModified: ServiceClientResponse
+): CacheEntry => {
+  const headers = { ...entry.headers, ...notModified.headers };
+  // a 304 has no body, its length must not replace the cached one
+  headers["content-length"] = entry.headers["content-length"];
+  return {
+    ...entry,
+    headers,
+    storedAt: Date.now() - toMilliseconds(notModified.headers.age)
+  };
+};
+
+/**
+ * Creates a request filter that caches responses according to their
+ * `cache-control` and `vary` headers and revalidates stale ones with
+ * `if-none-match` and `if-modified-since`.
+ *
+ * Stale entries are only served for `stale-if-error` if the revalidation
+ * gets a `5xx` response. Network errors, timeouts and open circuits never
+ * reach the filter, so they fail the request.
+ */
+export const createCacheFilter = (
+  options: CacheFilterOptions = {}
+): ServiceClientRequestFilter => {
+  const storage = options.store || new MemoryCacheStore();
+  const revalidate = options.revalidate || request;
+  // the filter also sees the responses it resolved requests with
+  const cachedResponses = new WeakSet<ServiceClientResponse>();
+  const pendingRevalidations = new Set<string>();
+
+  const toResponse = (
+    entry: CacheEntry,
+    requestOptions: ServiceClientRequestOptions,
+    original?: ServiceClientResponse
+  ): ServiceClientResponse => {
+    const response = new ServiceClientResponse(
+      entry.statusCode,
+      { ...entry.headers },
+      getBody(entry),
+      requestOptions
+    );
+    if (original) {
+      response.timings = original.timings;
+      response.timingPhases = original.timingPhases;
+    }
+    cachedResponses.add(response);
+    return response;
+  };
+
+  const save = (key: string, response: ServiceClientResponse) => {
+    const { headers, statusCode, body } = response;
+    const { maxAge, staleWhileRevalidate, staleIfError } = getFreshness(
+      headers
+    );
+    const directives = parseCacheControl(headers["cache-control"]);
+    const vary = getVaryHeaders(headers);
+    if (
+      statusCode !== 200 ||
+      body instanceof Readable ||
+      "no-store" in directives ||
+      // the store is shared by all users of the client
+      !isSharedResponse(response.request, directives) ||
+      vary.includes("*") ||
+      (!headers.etag &&
+        !headers["last-modified"] &&
+        maxAge + staleWhileRevalidate + staleIfError === 0)
+    ) {
+      return storage.delete(key);
+    }
+    const json = !Buffer.isBuffer(body) && typeof body !== "string";
+    const entry: CacheEntry = {
+      statusCode,
+      headers,
+      body: json
+        ? JSON.stringify(body)
+        : Buffer.isBuffer(body)
+        ? Buffer.from(body)
+        : (body as string),
+      json,
+      storedAt: Date.now() - toMilliseconds(headers.age),
+      vary: {}
+    };
+    for (const name of vary) {
+      entry.vary[name] = getRequestHeader(response.request.headers, name);
+    }
+    return storage.set(key, entry, getTtl(entry));
+  };
+
+  /**
+   * Responses that changed are not stored here, as they did not pass the
+   * other filters. The next request fetches them instead.
+   */
+  const revalidateInBackground = (
+    key: string,
+    entry: CacheEntry,
+    requestOptions: ServiceClientRequestOptions
+  ) => {
+    if (pendingRevalidations.has(key)) {
+      return;
+    }
+    pendingRevalidations.add(key);
+    const update = (response: ServiceClientResponse) => {
+      if (response.statusCode === 304) {
+        const refreshed = refreshEntry(entry, response);
+        return storage.set(key, refreshed, getTtl(refreshed));
+      }
+      if (response.statusCode < 500) {
+        return storage.delete(key);
+      }
+      return undefined;
+    };
+    // aborting the original request must not stop the revalidation
+    revalidate(withValidators({ ...requestOptions, signal: undefined }, entry))
+      .then(update, (error: { response?: ServiceClientResponse }) =>
+        // the filters of a client reject some responses
+        error.response ? update(error.response) : undefined
+      )
+      .catch(noop)
+      .then(() => pendingRevalidations.delete(key));
+  };
+
+  return {
+    request(requestOptions) {
+      if (!isCacheableRequest(requestOptions)) {
+        return requestOptions;
+      }
+      const key = getCacheKey(requestOptions);
+      return storage
+        .get(key)
+        .then(entry => {
+          if (!entry || !matchesVary(entry, requestOptions)) {
+            return requestOptions;
+          }
+          const age = getAge(entry);
+          const { maxAge, staleWhileRevalidate } = getFreshness(entry.headers);
+          if (age < maxAge) {
+            return toResponse(entry, requestOptions);
+          }
+          if (age < maxAge + staleWhileRevalidate) {
+            revalidateInBackground(key, entry, requestOptions);
+            return toResponse(entry, requestOptions);
+          }
+          const revalidation: any = withValidators(requestOptions, entry);
+          revalidation[STALE_ENTRY] = entry;
+          return revalidation as ServiceClientRequestOptions;
+        })
+        .catch(() => requestOptions);
+    },
+    response(response) {
+      if (cachedResponses.has(response)) {
+        return response;
+      }
+      const requestOptions = response.request;
+      const staleEntry: CacheEntry | undefined = (requestOptions as any)[
+        STALE_ENTRY
+      ];
+      if (!staleEntry && !isCacheableRequest(requestOptions)) {
+        return response;
+      }
+      const key = getCacheKey(requestOptions);
+      if (staleEntry && response.statusCode === 304) {
+        const entry = refreshEntry(staleEntry, response);
+        return storage
+          .set(key, entry, getTtl(entry))
+          .catch(noop)
+          .then(() => toResponse(entry, requestOptions, response));
+      }
+      if (staleEntry && response.statusCode >= 500) {
+        const { maxAge, staleIfError } = getFreshness(staleEntry.headers);
+        if (getAge(staleEntry) < maxAge + staleIfError) {
+          return toResponse(staleEntry, requestOptions, response);
+        }
+      }
+      return save(key, response)
+        .catch(noop)
+        .then(() => response);
+    }
+  };
+};
@@ -0,0 +1,95 @@
+import {
+  CircuitBreaker,
+  CircuitBreakerOptions,
+  CircuitBreakerSnapshot,
+  withServiceClientDefaults
+} from "./circuit-breaker";
+import { LruCache } from "./lru";
+import { ServiceClientRequestOptions } from "./request";
+
+export interface CircuitBreakerRegistryOptions {
+  /**
+   * Requests with the same key share a circuit breaker, for example the
+   * method together with the path template.
+   */
+  key: (params: ServiceClientRequestOptions) => string;
+  /**
+   * Maximum number of breakers, the least recently used one is disposed
+   * when a new one is needed.
+   * @default 100
+   */
+  maxSize?: number;
+  /**
+   * Options for every breaker that is created, with the same defaults as
+   * the `circuitBreaker` option of a `ServiceClient`.
+   */
+  circuitBreaker?: CircuitBreakerOptions;
+}
+
+export interface CircuitBreakerRegistryEntry {
+  key: string;
+  metrics: CircuitBreakerSnapshot;
+}
+
+/**
+ * Creates one circuit breaker per key on demand and keeps a bounded number
+ * of them, so the breakers of rarely used keys do not leak their timers.
+ */
+export class CircuitBreakerRegistry {
+  private readonly breakers: LruCache<string, CircuitBreaker>;
+  private readonly key: (params: ServiceClientRequestOptions) => string;
+  private readonly breakerOptions: CircuitBreakerOptions;
+
+  constructor(options: CircuitBreakerRegistryOptions) {
+    this.key = options.key;
+    this.breakerOptions = withServiceClientDefaults(
+      options.circuitBreaker || {}
+    );
+    this.breakers = new LruCache(options.maxSize || 100, (key, breaker) =>
+      breaker.dispose()
+    );
+  }
+
+  /**
+   * Returns the breaker for the key of the request, creating it if needed.
+   */
+  public get(params: ServiceClientRequestOptions): CircuitBreaker {
+    const key = this.key(params);
+    let breaker = this.breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.breakerOptions);
+      this.breakers.set(key, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Lists the keys of all breakers with their state and counts, the least
+   * recently used first.
+   */
+  public list(): CircuitBreakerRegistryEntry[] {
+    const entries: CircuitBreakerRegistryEntry[] = [];
+    for (const [key, breaker] of this.breakers.entries()) {
+      entries.push({ key, metrics: breaker.getMetrics() });
+    }
+    return entries;
+  }
+
+  public delete(key: string) {
+    const breaker = this.breakers.get(key);
+    if (breaker) {
+      breaker.dispose();
+      this.breakers.delete(key);
+    }
+  }
+
+  /**
+   * Disposes all breakers.
+   */
+  public dispose() {
+    for (const breaker of this.breakers.values()) {
+      breaker.dispose();
+    }
+    this.breakers.clear();
+  }
+}
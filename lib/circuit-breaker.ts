@@ -1,5 +1,7 @@
 // Based on https://github.com/yammer/circuit-breaker-js
 
+import { EventEmitter } from "events";
+
 export interface CircuitBreakerOptions {
   /** milliseconds */
   windowDuration?: number;
@@ -10,36 +12,129 @@ export interface CircuitBreakerOptions {
   errorThreshold?: number;
   /** absolute number */
   volumeThreshold?: number;
+  /**
+   * milliseconds from opening the circuit until a request is let through
+   * to probe the service, defaults to `windowDuration`
+   */
+  sleepWindow?: number;
+  /** calls let through to probe the service while half-open, defaults to 1 */
+  permittedCallsInHalfOpen?: number;
+  /** successful probes needed to close the circuit, defaults to 1 */
+  successThresholdInHalfOpen?: number;
+  /** milliseconds after which a call counts as slow, disabled by default */
+  slowCallDurationThreshold?: number;
+  /** percentage of slow calls that opens the circuit, defaults to 100 */
+  slowCallRateThreshold?: number;
+  /**
+   * cancel calls that take longer than `timeoutDuration` by calling the
+   * function returned by their command
+   */
+  cancelOnTimeout?: boolean;
 
   onCircuitOpen?: (m: Metrics) => void;
   onCircuitClose?: (m: Metrics) => void;
 }
 
+/**
+ * The defaults of the breakers created by a `ServiceClient`, which differ
+ * from the ones of the `CircuitBreaker` itself.
+ */
+export const withServiceClientDefaults = (
+  options: CircuitBreakerOptions
+): CircuitBreakerOptions => ({
+  windowDuration: 10000,
+  numBuckets: 10,
+  timeoutDuration: 2000,
+  errorThreshold: 50,
+  volumeThreshold: 10,
+  ...options
+});
+
 const enum State {
   OPEN,
   HALF_OPEN,
   CLOSED
 }
 
+export type CircuitState = "open" | "half-open" | "closed";
+
 export interface Metrics {
   totalCount: number;
   errorCount: number;
   errorPercentage: number;
 }
 
+/**
+ * Counts of the current window together with the state of the circuit.
+ */
+export interface CircuitBreakerSnapshot extends Metrics {
+  state: CircuitState;
+  forced: boolean;
+  successes: number;
+  failures: number;
+  timeouts: number;
+  shortCircuits: number;
+  slowCalls: number;
+  slowCallPercentage: number;
+}
+
+export type StateChangeReason =
+  | "errorThreshold"
+  | "slowCallRate"
+  | "sleepWindow"
+  | "probeSucceeded"
+  | "probeFailed"
+  | "forced"
+  | "unforced";
+
+/**
+ * Emitted as `stateChange` event on every transition of the circuit.
+ */
+export interface StateChangeEvent {
+  previousState: CircuitState;
+  state: CircuitState;
+  reason: StateChangeReason;
+  metrics: CircuitBreakerSnapshot;
+}
+
+/**
+ * Outcomes of the probes of a single half-open period.
+ */
+interface Probes {
+  calls: number;
+  successes: number;
+  failures: number;
+}
+
 interface Bucket {
   failures: number;
   successes: number;
   timeouts: number;
   shortCircuits: number;
+  /** successful or failed calls that took longer than the threshold */
+  slowCalls: number;
 }
 
-export type Command = (success: () => void, failure: () => void) => void;
+/**
+ * A command reports its outcome by calling exactly one of the callbacks.
+ * `ignore` releases the command without counting it as success or failure.
+ * It may return a function that cancels the call, which is used if the
+ * breaker is configured to `cancelOnTimeout`.
+ */
+export type Command = (
+  success: () => void,
+  failure: () => void,
+  ignore: () => void
+) => void;
 
 // eslint-disable-next-line @typescript-eslint/no-empty-function
 function noop() {}
 
 export interface CircuitBreakerPublicApi {
+  /**
+   * Set if the breaker calls the function returned by a command that timed out.
+   */
+  cancelOnTimeout?: boolean;
   run(command: Command, fallback?: () => void): void;
   forceClose(): void;
   forceOpen(): void;
@@ -47,11 +142,37 @@ export interface CircuitBreakerPublicApi {
   isOpen(): boolean;
 }
 
-export class CircuitBreaker implements CircuitBreakerPublicApi {
+const resetBucket = (bucket: Bucket) => {
+  bucket.failures = 0;
+  bucket.successes = 0;
+  bucket.timeouts = 0;
+  bucket.shortCircuits = 0;
+  bucket.slowCalls = 0;
+};
+
+const toCircuitState = (state: State): CircuitState => {
+  switch (state) {
+    case State.OPEN:
+      return "open";
+    case State.HALF_OPEN:
+      return "half-open";
+    default:
+      return "closed";
+  }
+};
+
+export class CircuitBreaker extends EventEmitter
+  implements CircuitBreakerPublicApi {
   public windowDuration: number;
   public timeoutDuration: number;
   public errorThreshold: number;
   public volumeThreshold: number;
+  public sleepWindow: number;
+  public permittedCallsInHalfOpen: number;
+  public successThresholdInHalfOpen: number;
+  public slowCallDurationThreshold?: number;
+  public slowCallRateThreshold: number;
+  public cancelOnTimeout: boolean;
 
   public onCircuitOpen: (m: Metrics) => void;
   public onCircuitClose: (m: Metrics) => void;
@@ -60,14 +181,31 @@ export class CircuitBreaker implements CircuitBreakerPublicApi {
   private bucketIndex: number;
   private state: State;
   private forced?: State;
+  private openedAt: number;
+  private probes: Probes;
+  private sleepTimer?: NodeJS.Timer;
+  private ticker?: NodeJS.Timer;
 
   constructor(options?: CircuitBreakerOptions) {
+    super();
     options = options || {};
 
     this.windowDuration = options.windowDuration || 10000;
     this.timeoutDuration = options.timeoutDuration || 3000;
     this.errorThreshold = options.errorThreshold || 50;
     this.volumeThreshold = options.volumeThreshold || 5;
+    this.sleepWindow = options.sleepWindow || this.windowDuration;
+    this.permittedCallsInHalfOpen = options.permittedCallsInHalfOpen || 1;
+    this.successThresholdInHalfOpen = options.successThresholdInHalfOpen || 1;
+    if (this.successThresholdInHalfOpen > this.permittedCallsInHalfOpen) {
+      throw new TypeError(
+        "The `successThresholdInHalfOpen` must not be greater than `permittedCallsInHalfOpen`"
+      );
+    }
+
+    this.slowCallDurationThreshold = options.slowCallDurationThreshold;
+    this.slowCallRateThreshold = options.slowCallRateThreshold || 100;
+    this.cancelOnTimeout = Boolean(options.cancelOnTimeout);
 
     this.onCircuitOpen = options.onCircuitOpen || noop;
     this.onCircuitClose = options.onCircuitClose || noop;
@@ -79,12 +217,15 @@ export class CircuitBreaker implements CircuitBreakerPublicApi {
         failures: 0,
         successes: 0,
         timeouts: 0,
-        shortCircuits: 0
+        shortCircuits: 0,
+        slowCalls: 0
       });
     }
     this.bucketIndex = 0;
     this.state = State.CLOSED;
     this.forced = undefined;
+    this.openedAt = 0;
+    this.probes = { calls: 0, successes: 0, failures: 0 };
 
     this.startTicker();
   }
@@ -92,70 +233,141 @@ export class CircuitBreaker implements CircuitBreakerPublicApi {
   public run(command: Command, fallback?: () => void) {
     if (this.isOpen()) {
       this.executeFallback(fallback || noop);
-    } else {
+    } else if (this.state !== State.HALF_OPEN) {
       this.executeCommand(command);
+    } else if (this.probes.calls < this.permittedCallsInHalfOpen) {
+      this.probes.calls++;
+      this.executeCommand(command, this.probes);
+    } else {
+      // enough probes are already underway
+      this.executeFallback(fallback || noop);
     }
   }
 
   public forceClose() {
     this.forced = this.state;
-    this.state = State.CLOSED;
+    this.setState(State.CLOSED, "forced");
   }
 
   public forceOpen() {
     this.forced = this.state;
-    this.state = State.OPEN;
+    this.setState(State.OPEN, "forced");
   }
 
   public unforce() {
     if (this.forced !== undefined) {
-      this.state = this.forced;
+      const state = this.forced;
       this.forced = undefined;
+      this.setState(state, "unforced");
     }
   }
 
   public isOpen() {
+    this.checkSleepWindow();
     return this.state === State.OPEN;
   }
 
+  public getMetrics(): CircuitBreakerSnapshot {
+    this.checkSleepWindow();
+    return this.calculateMetrics();
+  }
+
+  /**
+   * Stops the timers of the breaker, it must not be used afterwards.
+   */
+  public dispose() {
+    if (this.ticker) {
+      clearInterval(this.ticker);
+      this.ticker = undefined;
+    }
+    if (this.sleepTimer) {
+      clearTimeout(this.sleepTimer);
+      this.sleepTimer = undefined;
+    }
+  }
+
+  /**
+   * Switches to half-open once the sleep window has passed since the circuit
+   * opened. Checked on demand, so the open duration does not depend on the
+   * buckets. A forced state is kept until `unforce` is called.
+   */
+  private checkSleepWindow() {
+    if (
+      this.state === State.OPEN &&
+      this.forced === undefined &&
+      Date.now() - this.openedAt >= this.sleepWindow
+    ) {
+      this.probes = { calls: 0, successes: 0, failures: 0 };
+      this.setState(State.HALF_OPEN, "sleepWindow");
+    }
+  }
+
+  private open(reason: StateChangeReason) {
+    this.openedAt = Date.now();
+    if (this.sleepTimer) {
+      clearTimeout(this.sleepTimer);
+    }
+    // turn half-open on time, even if no request checks the state
+    this.sleepTimer = setTimeout(() => {
+      this.sleepTimer = undefined;
+      this.checkSleepWindow();
+    }, this.sleepWindow);
+    this.sleepTimer.unref();
+    this.setState(State.OPEN, reason);
+    this.onCircuitOpen(this.calculateMetrics());
+  }
+
+  /**
+   * Forcing the circuit is always reported, even if the state stays the same.
+   */
+  private setState(state: State, reason: StateChangeReason) {
+    const previousState = this.state;
+    this.state = state;
+    if (
+      previousState !== state ||
+      reason === "forced" ||
+      reason === "unforced"
+    ) {
+      const event: StateChangeEvent = {
+        previousState: toCircuitState(previousState),
+        state: toCircuitState(state),
+        reason,
+        metrics: this.calculateMetrics()
+      };
+      this.emit("stateChange", event);
+    }
+  }
+
   private startTicker() {
-    // eslint-disable-next-line @typescript-eslint/no-this-alias
-    const self = this;
     const bucketDuration = this.windowDuration / this.buckets.length;
 
     const tick = () => {
       ++this.bucketIndex;
 
-      // FIXME this is very broken as it means that the time
-      //       till CB is changing to half-open state depends on
-      //       the index of the bucket at the time when it opened.
       if (this.bucketIndex >= this.buckets.length) {
         this.bucketIndex = 0;
-
-        if (self.isOpen()) {
-          self.state = State.HALF_OPEN;
-        }
       }
 
       // Since we are recycling the buckets they need to be
       // reset before the can be used again.
-      const bucket = this.lastBucket();
-      bucket.failures = 0;
-      bucket.successes = 0;
-      bucket.timeouts = 0;
-      bucket.shortCircuits = 0;
+      resetBucket(this.lastBucket());
     };
 
-    setInterval(tick, bucketDuration).unref();
+    this.ticker = setInterval(tick, bucketDuration);
+    this.ticker.unref();
   }
 
   private lastBucket() {
     return this.buckets[this.bucketIndex];
   }
 
-  private executeCommand(command: Command) {
+  /**
+   * `probes` is set for calls that probe the service while half-open.
+   */
+  private executeCommand(command: Command, probes?: Probes) {
     // eslint-disable-next-line @typescript-eslint/no-this-alias
     const self = this;
+    const startTime = Date.now();
     let timeout: NodeJS.Timer | undefined;
 
     const increment = function(prop: keyof Bucket) {
@@ -167,18 +379,54 @@ export class CircuitBreaker implements CircuitBreakerPublicApi {
         const bucket = self.lastBucket();
         bucket[prop]++;
 
+        const slow =
+          prop !== "timeouts" &&
+          self.slowCallDurationThreshold !== undefined &&
+          Date.now() - startTime >= self.slowCallDurationThreshold;
+        if (slow) {
+          bucket.slowCalls++;
+        }
+
         if (self.forced == null) {
-          self.updateState();
+          if (probes) {
+            self.updateHalfOpenState(probes, prop === "successes" && !slow);
+          } else {
+            self.updateState();
+          }
         }
 
         clearTimeout(timeout);
         timeout = undefined;
+
+        if (
+          prop === "timeouts" &&
+          self.cancelOnTimeout &&
+          typeof cancel === "function"
+        ) {
+          cancel();
+        }
       };
     };
 
+    const ignore = function() {
+      if (timeout) {
+        clearTimeout(timeout);
+        timeout = undefined;
+        if (probes) {
+          // let another call probe the service instead
+          probes.calls--;
+        }
+      }
+    };
+
     timeout = setTimeout(increment("timeouts"), this.timeoutDuration);
 
-    command(increment("successes"), increment("failures"));
+    // commands are typed to return nothing for compatibility
+    const cancel: unknown = command(
+      increment("successes"),
+      increment("failures"),
+      ignore
+    );
   }
 
   private executeFallback(fallback: () => void) {
@@ -188,49 +436,98 @@ export class CircuitBreaker implements CircuitBreakerPublicApi {
     bucket.shortCircuits++;
   }
 
-  private calculateMetrics() {
+  private calculateMetrics(): CircuitBreakerSnapshot {
     let totalCount = 0;
     let errorCount = 0;
+    let successes = 0;
+    let failures = 0;
+    let timeouts = 0;
+    let shortCircuits = 0;
+    let slowCalls = 0;
 
     for (const bucket of this.buckets) {
       const errors = bucket.failures + bucket.timeouts;
 
       errorCount += errors;
       totalCount += errors + bucket.successes;
+      successes += bucket.successes;
+      failures += bucket.failures;
+      timeouts += bucket.timeouts;
+      shortCircuits += bucket.shortCircuits;
+      slowCalls += bucket.slowCalls;
     }
 
     const errorPercentage =
       (errorCount / (totalCount > 0 ? totalCount : 1)) * 100;
+    const slowCallPercentage =
+      (slowCalls / (totalCount > 0 ? totalCount : 1)) * 100;
 
     return {
       totalCount,
       errorCount,
-      errorPercentage
+      errorPercentage,
+      state: toCircuitState(this.state),
+      forced: this.forced !== undefined,
+      successes,
+      failures,
+      timeouts,
+      shortCircuits,
+      slowCalls,
+      slowCallPercentage
     };
   }
 
   private updateState() {
+    // calls that finish after the circuit opened must not open it again
+    if (this.state !== State.CLOSED) {
+      return;
+    }
+
     const metrics = this.calculateMetrics();
+    const overErrorThreshold = metrics.errorPercentage > this.errorThreshold;
+    const overSlowCallThreshold =
+      this.slowCallDurationThreshold !== undefined &&
+      metrics.slowCallPercentage >= this.slowCallRateThreshold;
+    const overVolumeThreshold = metrics.totalCount > this.volumeThreshold;
+
+    if (overVolumeThreshold && overErrorThreshold) {
+      this.open("errorThreshold");
+    } else if (overVolumeThreshold && overSlowCallThreshold) {
+      this.open("slowCallRate");
+    }
+  }
 
-    if (this.state == State.HALF_OPEN) {
-      const lastCommandFailed =
-        !this.lastBucket().successes && metrics.errorCount > 0;
+  /**
+   * Closes the circuit once enough probes succeeded, and opens it again for
+   * another sleep window once too many of them failed. Slow probes count as
+   * failed.
+   */
+  private updateHalfOpenState(probes: Probes, succeeded: boolean) {
+    // probes of an earlier half-open period are outdated
+    if (this.state !== State.HALF_OPEN || probes !== this.probes) {
+      return;
+    }
 
-      if (lastCommandFailed) {
-        this.state = State.OPEN;
-      } else {
-        this.state = State.CLOSED;
-        this.onCircuitClose(metrics);
+    if (succeeded) {
+      probes.successes++;
+      if (probes.successes >= this.successThresholdInHalfOpen) {
+        // the failures that opened the circuit must not open it again
+        this.buckets.forEach(resetBucket);
+        this.setState(State.CLOSED, "probeSucceeded");
+        this.onCircuitClose(this.calculateMetrics());
       }
-    } else {
-      const overErrorThreshold = metrics.errorPercentage > this.errorThreshold;
-      const overVolumeThreshold = metrics.totalCount > this.volumeThreshold;
-      const overThreshold = overVolumeThreshold && overErrorThreshold;
+      return;
+    }
 
-      if (overThreshold) {
-        this.state = State.OPEN;
-        this.onCircuitOpen(metrics);
-      }
+    probes.failures++;
+    const failurePercentage =
+      (probes.failures / this.permittedCallsInHalfOpen) * 100;
+    const remainingCalls = this.permittedCallsInHalfOpen - probes.failures;
+    if (
+      failurePercentage > this.errorThreshold ||
+      remainingCalls < this.successThresholdInHalfOpen
+    ) {
+      this.open("probeFailed");
     }
   }
 }
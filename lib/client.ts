@@ -1,13 +1,74 @@
 import {
   CircuitBreaker,
   CircuitBreakerOptions,
+  CircuitBreakerSnapshot,
+  CircuitState,
   Metrics as CircuitBreakerMetrics,
-  CircuitBreakerPublicApi
+  CircuitBreakerPublicApi,
+  StateChangeEvent,
+  StateChangeReason,
+  withServiceClientDefaults
 } from "./circuit-breaker";
-import { operation } from "./retry";
+import {
+  CircuitBreakerRegistry,
+  CircuitBreakerRegistryEntry,
+  CircuitBreakerRegistryOptions
+} from "./circuit-breaker-registry";
+import {
+  BACKOFF_STRATEGIES,
+  BackoffFunction,
+  BackoffStrategy,
+  operation,
+  parseRetryAfter
+} from "./retry";
+import { AbortController } from "./abort";
+import { Budget, BudgetOptions } from "./budget";
+import { Bulkhead, BulkheadMetrics } from "./bulkhead";
+import { AdaptiveConcurrencyOptions, AimdLimit } from "./concurrency-limit";
+import { HedgingOptions, LatencyTracker } from "./hedging";
+import { ClientMetrics, MetricsRegistry } from "./metrics";
+import {
+  CacheEntry,
+  CacheFilterOptions,
+  CacheStore,
+  createCacheFilter,
+  MemoryCacheStore,
+  MemoryCacheStoreOptions
+} from "./cache";
+import { CoalescingOptions, RequestCoalescer } from "./coalescing";
+import { RateLimiter, RateLimitOptions } from "./rate-limit";
+import {
+  getRequestAttributes,
+  injectTraceContext,
+  recordError,
+  recordResponse,
+  SpanContext,
+  SpanKind,
+  SpanStatusCode,
+  TraceSpan,
+  Tracer
+} from "./tracing";
+import {
+  AttemptErrorEvent,
+  AttemptStartEvent,
+  CircuitRejectedEvent,
+  publishDiagnostics,
+  RequestFailureEvent,
+  RequestStartEvent,
+  RequestSuccessEvent,
+  RetryScheduledEvent,
+  ServiceClientEvents
+} from "./events";
+import { EventEmitter } from "events";
+import { Agent as HttpAgent } from "http";
+import { Agent as HttpsAgent } from "https";
+import { Readable } from "stream";
+import { randomBytes } from "crypto";
 import * as url from "url";
 import {
+  AbortedError,
   ConnectionTimeoutError,
+  getRequestHeader,
   NetworkError,
   ReadTimeoutError,
   request,
@@ -17,16 +78,52 @@ import {
   TimingPhases,
   Timings,
   UserTimeoutError,
-  BodyStreamError
+  BodyStreamError,
+  ResponseSizeLimitError
 } from "./request";
 
 export {
+  AdaptiveConcurrencyOptions,
+  AttemptErrorEvent,
+  AttemptStartEvent,
+  BackoffFunction,
+  BackoffStrategy,
+  BudgetOptions,
+  BulkheadMetrics,
+  CacheEntry,
+  CacheFilterOptions,
+  CacheStore,
+  createCacheFilter,
+  MemoryCacheStore,
+  MemoryCacheStoreOptions,
   CircuitBreaker,
   CircuitBreakerOptions,
   CircuitBreakerMetrics,
   CircuitBreakerPublicApi,
+  CircuitBreakerRegistry,
+  CircuitBreakerRegistryEntry,
+  CircuitBreakerRegistryOptions,
+  CircuitBreakerSnapshot,
+  CircuitRejectedEvent,
+  CircuitState,
+  StateChangeEvent,
+  StateChangeReason,
+  CoalescingOptions,
+  HedgingOptions,
+  MetricsRegistry,
+  RateLimitOptions,
+  RequestFailureEvent,
+  RequestStartEvent,
+  RequestSuccessEvent,
+  RetryScheduledEvent,
+  ServiceClientEvents,
   ServiceClientResponse,
-  ServiceClientRequestOptions
+  ServiceClientRequestOptions,
+  SpanContext,
+  SpanKind,
+  SpanStatusCode,
+  TraceSpan,
+  Tracer
 };
 
 /**
@@ -86,12 +183,47 @@ export class ServiceClientOptions {
    */
   public timing?: boolean;
   public autoParseJson?: boolean;
+  /**
+   * Default for the `maxResponseBytes` request option, unlimited if not set.
+   */
+  public maxResponseBytes?: number;
+  /**
+   * Ask for compressed responses by sending an `accept-encoding` header,
+   * unless the request specifies one.
+   */
+  public compression?: boolean;
   public retryOptions?: {
     retries?: number;
     factor?: number;
     minTimeout?: number;
     maxTimeout?: number;
     randomize?: boolean;
+    /**
+     * Computes the delay before each retry, either with one of the built-in
+     * strategies based on `minTimeout`, `maxTimeout` and `factor` or with a
+     * custom function that may look at the error. By default, the delays are
+     * computed upfront and sorted.
+     */
+    backoff?: BackoffStrategy | BackoffFunction<ServiceClientError>;
+    /**
+     * Maximum delay in milliseconds that is accepted from the `retry-after`
+     * or rate limit headers of 429 and 503 responses. The headers are
+     * ignored unless this is set.
+     */
+    maxRetryAfter?: number;
+    /**
+     * Only requests with these methods are retried, as they have to be
+     * idempotent. Requests with other methods are only retried if they have
+     * an `idempotencyKey`.
+     * @default ["GET", "HEAD", "OPTIONS", "TRACE", "PUT", "DELETE"]
+     */
+    methods?: string[];
+    /**
+     * Limits the retries of all requests of the client to a `ratio` of the
+     * requests that succeeded at the first attempt, plus `minPerSecond`
+     * retries, within `ttl` milliseconds. Unlimited if not set.
+     */
+    budget?: Partial<BudgetOptions>;
     shouldRetry?: (
       err?: ServiceClientError,
       req?: ServiceClientRequestOptions
@@ -102,10 +234,88 @@ export class ServiceClientOptions {
       req?: ServiceClientRequestOptions
     ) => void;
   };
-  public circuitBreaker?: false | CircuitBreakerOptions | CircuitBreakerFactory;
+  public circuitBreaker?:
+    | false
+    | CircuitBreakerOptions
+    | CircuitBreakerFactory
+    | CircuitBreakerRegistry;
+  /**
+   * Decides which failed attempts count against the circuit breaker, others
+   * are ignored by it. Defaults to {@link isCircuitBreakerFailure}.
+   */
+  public isCircuitBreakerFailure?: (
+    error: ServiceClientError,
+    request: ServiceClientRequestOptions
+  ) => boolean;
+  /**
+   * Start a second attempt for slow idempotent requests, see {@link HedgingOptions}.
+   */
+  public hedging?: HedgingOptions;
+  /**
+   * Let identical concurrent `GET` and `HEAD` requests share a single HTTP
+   * request, see {@link CoalescingOptions}.
+   */
+  public coalescing?: boolean | CoalescingOptions;
+  /**
+   * Reuse connections with a keep-alive agent that is owned by the client
+   * and destroyed by {@link ServiceClient.close}. Ignored for requests that
+   * specify their own `agent`.
+   */
+  public keepAlive?: boolean;
+  /**
+   * Record request counts, retries, timing phases and circuit breaker
+   * states in the registry, which may be shared by several clients.
+   */
+  public metrics?: MetricsRegistry;
+  /**
+   * Start a client span for every request and a child span for every
+   * attempt, which is propagated with the `traceparent` and `tracestate`
+   * headers.
+   */
+  public tracer?: Tracer;
+  /**
+   * Limit the rate of attempts, including retries, with a token bucket, see
+   * {@link RateLimitOptions}. Attempts over the limit are rejected with a
+   * `RateLimitedError`.
+   */
+  public rateLimit?: RateLimitOptions;
+  /**
+   * Maximum number of attempts in flight at the same time, unlimited if not
+   * set. Other attempts wait in a queue or are rejected with a
+   * `BulkheadRejectedError`.
+   */
+  public maxConcurrent?: number;
+  /**
+   * Adjust the number of attempts in flight to the latency and the failures
+   * of the service instead of a fixed `maxConcurrent`, see
+   * {@link AdaptiveConcurrencyOptions}.
+   */
+  public adaptiveConcurrency?: boolean | AdaptiveConcurrencyOptions;
+  /**
+   * Maximum number of attempts waiting for `maxConcurrent`.
+   * @default 0
+   */
+  public maxQueued?: number;
+  /**
+   * Milliseconds an attempt may wait for `maxConcurrent`, unlimited if not set.
+   */
+  public queueTimeout?: number;
   public defaultRequestOptions?: Partial<ServiceClientRequestOptions>;
 }
 
+export interface ServiceClientCloseOptions {
+  /**
+   * Milliseconds to wait for in-flight requests before they are rejected.
+   * @default 5000
+   */
+  drainTimeout?: number;
+}
+
+type HedgingStrictOptions = Required<
+  Pick<HedgingOptions, "delay" | "budget" | "methods">
+> &
+  HedgingOptions;
+
 /**
  * Internal only, this interface guarantees, that the service client has all options available at runtime.
  */
@@ -114,12 +324,18 @@ class ServiceClientStrictOptions {
   public filters: ServiceClientRequestFilter[];
   public timing: boolean;
   public autoParseJson: boolean;
+  public maxResponseBytes?: number;
+  public compression: boolean;
   public retryOptions: {
     retries: number;
     factor: number;
     minTimeout: number;
     maxTimeout: number;
     randomize: boolean;
+    backoff?: BackoffStrategy | BackoffFunction<ServiceClientError>;
+    maxRetryAfter: number;
+    methods: string[];
+    budget?: Partial<BudgetOptions>;
     shouldRetry: (
       err?: ServiceClientError,
       req?: ServiceClientRequestOptions
@@ -130,6 +346,13 @@ class ServiceClientStrictOptions {
       req?: ServiceClientRequestOptions
     ) => void;
   };
+  public isCircuitBreakerFailure: (
+    error: ServiceClientError,
+    request: ServiceClientRequestOptions
+  ) => boolean;
+  public hedging?: HedgingStrictOptions;
+  public coalescing?: CoalescingOptions;
+  public keepAlive: boolean;
   public defaultRequestOptions: ServiceClientRequestOptions;
 
   constructor(options: ServiceClientOptions) {
@@ -144,12 +367,16 @@ class ServiceClientStrictOptions {
     this.timing = Boolean(options.timing);
     const autoParseJson = options.autoParseJson;
     this.autoParseJson = autoParseJson === undefined ? true : autoParseJson;
+    this.maxResponseBytes = options.maxResponseBytes;
+    this.compression = Boolean(options.compression);
     this.retryOptions = {
       factor: 2,
       maxTimeout: 400,
       minTimeout: 200,
       randomize: true,
       retries: 0,
+      maxRetryAfter: 0,
+      methods: IDEMPOTENT_METHODS,
       shouldRetry() {
         return true;
       },
@@ -158,6 +385,9 @@ class ServiceClientStrictOptions {
       },
       ...options.retryOptions
     };
+    this.retryOptions.methods = this.retryOptions.methods.map(method =>
+      method.toUpperCase()
+    );
 
     if (
       (this.retryOptions.minTimeout || 0) > (this.retryOptions.maxTimeout || 0)
@@ -167,6 +397,32 @@ class ServiceClientStrictOptions {
       );
     }
 
+    const { backoff } = this.retryOptions;
+    if (typeof backoff === "string" && !BACKOFF_STRATEGIES.includes(backoff)) {
+      throw new TypeError(`Unknown backoff strategy "${backoff}"`);
+    }
+
+    this.isCircuitBreakerFailure =
+      options.isCircuitBreakerFailure || isCircuitBreakerFailure;
+
+    if (options.hedging) {
+      this.hedging = {
+        budget: 0.1,
+        methods: ["GET", "HEAD"],
+        ...options.hedging
+      };
+      this.hedging.methods = this.hedging.methods.map(method =>
+        method.toUpperCase()
+      );
+    }
+
+    if (options.coalescing) {
+      this.coalescing =
+        options.coalescing === true ? {} : { ...options.coalescing };
+    }
+
+    this.keepAlive = Boolean(options.keepAlive);
+
     this.defaultRequestOptions = {
       pathname: "/",
       protocol: "https:",
@@ -176,6 +432,38 @@ class ServiceClientStrictOptions {
   }
 }
 
+/**
+ * Internal only, state that is shared by all attempts of a single request.
+ */
+interface RequestContext {
+  params: ServiceClientRequestOptions;
+  breaker: CircuitBreakerPublicApi;
+  retryErrors: ServiceClientError[];
+  /**
+   * Timestamp in milliseconds
+   */
+  deadlineAt?: number;
+  span?: TraceSpan;
+  /**
+   * Attempts that were sent in a span so far
+   */
+  tracedAttempts: number;
+}
+
+/**
+ * Internal only, lets `close` stop a request that is in flight.
+ */
+interface PendingRequest {
+  /**
+   * Rejects the request if it is waiting for a retry.
+   */
+  cancelRetry: () => void;
+  /**
+   * Rejects the request and prevents any further retries.
+   */
+  cancel: () => void;
+}
+
 /**
  * A custom error returned in case something goes wrong.
  */
@@ -183,6 +471,14 @@ export abstract class ServiceClientError extends Error {
   public timings?: Timings;
   public timingPhases?: TimingPhases;
   public retryErrors: ServiceClientError[];
+  /**
+   * Set if the request was not retried because the retry budget was used up.
+   */
+  public retryBudgetExhausted?: boolean;
+  /**
+   * The `Idempotency-Key` header of the request, if it had one.
+   */
+  public idempotencyKey?: string;
   /**
    * Use `instanceof` checks instead.
    * @deprecated since 0.9.0
@@ -290,6 +586,67 @@ export class RequestBodyStreamError extends ServiceClientError {
   }
 }
 
+export class RequestAbortedError extends ServiceClientError {
+  public requestOptions: ServiceClientRequestOptions;
+
+  constructor(originalError: RequestError, name: string) {
+    super(originalError, ServiceClient.REQUEST_FAILED, undefined, name);
+    this.requestOptions = originalError.requestOptions;
+  }
+}
+
+export class ResponseTooLargeError extends ServiceClientError {
+  public requestOptions: ServiceClientRequestOptions;
+
+  constructor(originalError: RequestError, name: string) {
+    super(originalError, ServiceClient.REQUEST_FAILED, undefined, name);
+    this.requestOptions = originalError.requestOptions;
+  }
+}
+
+export class DeadlineExceededError extends ServiceClientError {
+  constructor(originalError: Error, name: string) {
+    super(originalError, ServiceClient.REQUEST_FAILED, undefined, name);
+  }
+}
+
+/**
+ * The attempt was cancelled by a circuit breaker with `cancelOnTimeout`.
+ */
+export class CircuitBreakerTimeoutError extends ServiceClientError {
+  constructor(originalError: Error, name: string) {
+    super(originalError, ServiceClient.REQUEST_FAILED, undefined, name);
+  }
+}
+
+/**
+ * The attempt was rejected because `maxConcurrent` attempts were in flight
+ * and it could not wait for a free slot.
+ */
+export class BulkheadRejectedError extends ServiceClientError {
+  constructor(originalError: Error, name: string) {
+    super(originalError, ServiceClient.REQUEST_FAILED, undefined, name);
+  }
+}
+
+/**
+ * The attempt was rejected because it would have exceeded the `rateLimit`.
+ */
+export class RateLimitedError extends ServiceClientError {
+  constructor(originalError: Error, name: string) {
+    super(originalError, ServiceClient.REQUEST_FAILED, undefined, name);
+  }
+}
+
+/**
+ * The client was closed before or while the request was made.
+ */
+export class ClientClosedError extends ServiceClientError {
+  constructor(originalError: Error, name: string) {
+    super(originalError, ServiceClient.REQUEST_FAILED, undefined, name);
+  }
+}
+
 export class ShouldRetryRejectedError extends ServiceClientError {
   constructor(originalError: Error, type: string, name: string) {
     super(originalError, type, undefined, name);
@@ -302,12 +659,52 @@ export class MaximumRetriesReachedError extends ServiceClientError {
   }
 }
 
+/**
+ * The errors of retries wrap the error of the last attempt, which tells
+ * why the request failed.
+ */
+const getCauseOfFailure = (error: ServiceClientError): ServiceClientError => {
+  const { retryErrors } = error;
+  const isWrapper =
+    error instanceof MaximumRetriesReachedError ||
+    error instanceof ShouldRetryRejectedError;
+  return isWrapper && retryErrors.length > 0
+    ? retryErrors[retryErrors.length - 1]
+    : error;
+};
+
 export class InternalError extends ServiceClientError {
   constructor(originalError: Error, name: string) {
     super(originalError, ServiceClient.INTERNAL_ERROR, undefined, name);
   }
 }
 
+const ACCEPT_ENCODING = "br, gzip, deflate";
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "TRACE", "PUT", "DELETE"];
+
+const IDEMPOTENCY_KEY_HEADER = "idempotency-key";
+
+/**
+ * Returns a random version 4 UUID, as `crypto.randomUUID` is not available
+ * in all supported Node versions.
+ */
+const createIdempotencyKey = (): string => {
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20)
+  ].join("-");
+};
+
+const DEFAULT_DRAIN_TIMEOUT = 5000;
+
 const JSON_CONTENT_TYPE_REGEX = /application\/(.*?[+])?json/i;
 
 /**
@@ -333,6 +730,86 @@ const decodeResponse = (
   return response;
 };
 
+const RETRY_AFTER_STATUS_CODES = [429, 503];
+
+/**
+ * Returns the delay before the next retry that is requested by the service,
+ * capped at `maxRetryAfter`.
+ */
+const getRetryAfter = (
+  error: ServiceClientError,
+  maxRetryAfter: number
+): number | undefined => {
+  const { response } = error;
+  if (
+    maxRetryAfter <= 0 ||
+    !response ||
+    !RETRY_AFTER_STATUS_CODES.includes(response.statusCode)
+  ) {
+    return undefined;
+  }
+  const retryAfter = parseRetryAfter(response.headers);
+  return retryAfter === undefined
+    ? undefined
+    : Math.min(retryAfter, maxRetryAfter);
+};
+
+/**
+ * Default for the `isCircuitBreakerFailure` option. Errors that are caused by
+ * the client, like failing request filters, user timeouts, exceeded response
+ * limits and `4xx` responses, do not tell anything about the health of the
+ * service and are not counted.
+ */
+export const isCircuitBreakerFailure = (error: ServiceClientError): boolean => {
+  if (
+    error instanceof RequestFilterError ||
+    error instanceof RequestUserTimeoutError ||
+    error instanceof RequestBodyStreamError ||
+    error instanceof ResponseTooLargeError
+  ) {
+    return false;
+  }
+  if (error instanceof ResponseFilterError && error.response) {
+    const { statusCode } = error.response;
+    return statusCode < 400 || statusCode >= 500;
+  }
+  return true;
+};
+
+/**
+ * Stops the filter chain as soon as the request is aborted by the user.
+ */
+const throwIfAborted = (
+  client: ServiceClient,
+  requestOptions: ServiceClientRequestOptions
+) => {
+  if (requestOptions.signal && requestOptions.signal.aborted) {
+    throw new RequestAbortedError(
+      new AbortedError(requestOptions),
+      client.name
+    );
+  }
+};
+
+/**
+ * A streamed body is read after the response resolved, so the controller
+ * passes on aborts of its parent signal until the body is done.
+ */
+const disposeAfterBody = (
+  controller: AbortController,
+  response?: ServiceClientResponse
+) => {
+  const body = response && response.body;
+  if (body instanceof Readable) {
+    const dispose = () => controller.dispose();
+    body.once("end", dispose);
+    body.once("error", dispose);
+    body.once("close", dispose);
+  } else {
+    controller.dispose();
+  }
+};
+
 /**
  * Reducer function to unwind response filters.
  */
@@ -352,7 +829,10 @@ const requestWithFilters = (
   client: ServiceClient,
   requestOptions: ServiceClientRequestOptions,
   filters: ServiceClientRequestFilter[],
-  autoParseJson: boolean
+  autoParseJson: boolean,
+  send: (
+    requestOptions: ServiceClientRequestOptions
+  ) => Promise<ServiceClientResponse>
 ): Promise<ServiceClientResponse> => {
   const pendingResponseFilters: ServiceClientRequestFilter[] = [];
 
@@ -365,6 +845,7 @@ const requestWithFilters = (
         if (params instanceof ServiceClientResponse) {
           return params;
         }
+        throwIfAborted(client, params);
         const filtered = filter.request ? filter.request(params) : params;
         // also apply this filter when unwinding the chain
         pendingResponseFilters.unshift(filter);
@@ -376,18 +857,25 @@ const requestWithFilters = (
 
   return requestFilterPromise
     .catch((error: Error) => {
+      if (error instanceof RequestAbortedError) {
+        throw error;
+      }
       throw new RequestFilterError(error, client.name);
     })
     .then(paramsOrResponse =>
       paramsOrResponse instanceof ServiceClientResponse
         ? paramsOrResponse
-        : request(paramsOrResponse).catch((error: RequestError) => {
+        : send(paramsOrResponse).catch((error: RequestError) => {
             if (error instanceof ConnectionTimeoutError) {
               throw new RequestConnectionTimeoutError(error, client.name);
             } else if (error instanceof UserTimeoutError) {
               throw new RequestUserTimeoutError(error, client.name);
             } else if (error instanceof BodyStreamError) {
               throw new RequestBodyStreamError(error, client.name);
+            } else if (error instanceof AbortedError) {
+              throw new RequestAbortedError(error, client.name);
+            } else if (error instanceof ResponseSizeLimitError) {
+              throw new ResponseTooLargeError(error, client.name);
             } else if (error instanceof ReadTimeoutError) {
               throw new RequestReadTimeoutError(error, client.name);
             } else if (error instanceof NetworkError) {
@@ -401,20 +889,40 @@ const requestWithFilters = (
       autoParseJson ? decodeResponse(client, rawResponse) : rawResponse
     )
     .then(resp =>
-      pendingResponseFilters
-        .reduce(unwindResponseFilters, Promise.resolve(resp))
+      Promise.resolve(resp)
+        .then(() => {
+          throwIfAborted(client, requestOptions);
+          return pendingResponseFilters
+            .reduce(unwindResponseFilters, Promise.resolve(resp))
+            .catch(error => {
+              throw new ResponseFilterError(error, resp, client.name);
+            });
+        })
         .catch(error => {
-          throw new ResponseFilterError(error, resp, client.name);
+          // nobody reads the body of a rejected response, which would hold
+          // the socket until the read timeout
+          if (resp.body instanceof Readable) {
+            resp.body.destroy();
+          }
+          throw error;
         })
     );
 };
 
+/**
+ * Returns the milliseconds until the deadline of the request, if it has one.
+ */
+const getRemainingTime = (context: RequestContext): number | undefined =>
+  context.deadlineAt === undefined
+    ? undefined
+    : Math.max(1, context.deadlineAt - Date.now());
+
 const noop = () => {
   /* do nothing */
 };
 const noopBreaker: CircuitBreakerPublicApi = {
   run(command) {
-    command(noop, noop);
+    command(noop, noop, noop);
   },
   forceClose: () => null,
   forceOpen: () => null,
@@ -437,7 +945,11 @@ const buildStatusCodeFilter = (
   };
 };
 
-export class ServiceClient {
+/**
+ * Emits the {@link ServiceClientEvents} of every request, which are also
+ * published to the `perron:<event>` diagnostics channels.
+ */
+export class ServiceClient extends EventEmitter {
   /**
    * This filter will mark 5xx responses as failures. This is relevant for the circuit breaker.
    */
@@ -522,6 +1034,20 @@ export class ServiceClient {
   private breaker?: CircuitBreaker;
   private breakerFactory?: CircuitBreakerFactory;
   private options: ServiceClientStrictOptions;
+  private hedgeBudget: Budget;
+  private retryBudget?: Budget;
+  private latencies: LatencyTracker;
+  private coalescer?: RequestCoalescer;
+  private bulkhead?: Bulkhead;
+  private concurrencyLimit?: AimdLimit;
+  private rateLimiter?: RateLimiter;
+  private metrics?: ClientMetrics;
+  private tracer?: Tracer;
+  private stopObservingCircuits?: () => void;
+  private readonly agents = new Map<string, HttpAgent>();
+  private readonly pendingRequests = new Set<PendingRequest>();
+  private onDrained?: () => void;
+  private closing?: Promise<void>;
 
   /**
    * A ServiceClient can be constructed with all defaults by simply providing a URL, that can be parsed
@@ -529,6 +1055,7 @@ export class ServiceClient {
    * @{link ServiceClientOptions} interface.
    */
   constructor(optionsOrUrl: ServiceClientOptions | string) {
+    super();
     let options: ServiceClientOptions;
     if (typeof optionsOrUrl === "string") {
       const {
@@ -552,24 +1079,73 @@ export class ServiceClient {
       options = optionsOrUrl;
     }
 
-    if (typeof options.circuitBreaker === "object") {
-      const breakerOptions = {
-        windowDuration: 10000,
-        numBuckets: 10,
-        timeoutDuration: 2000,
-        errorThreshold: 50,
-        volumeThreshold: 10,
-        ...options.circuitBreaker
-      };
-      this.breaker = new CircuitBreaker(breakerOptions);
-    }
-
-    if (typeof options.circuitBreaker === "function") {
-      this.breakerFactory = options.circuitBreaker;
+    const { circuitBreaker } = options;
+    if (circuitBreaker instanceof CircuitBreakerRegistry) {
+      this.breakerFactory = params => circuitBreaker.get(params);
+    } else if (typeof circuitBreaker === "object") {
+      this.breaker = new CircuitBreaker(
+        withServiceClientDefaults(circuitBreaker)
+      );
+    } else if (typeof circuitBreaker === "function") {
+      this.breakerFactory = circuitBreaker;
     }
 
     this.options = new ServiceClientStrictOptions(options);
     this.name = options.name || options.hostname;
+    this.hedgeBudget = new Budget({
+      ratio: this.options.hedging ? this.options.hedging.budget : 0
+    });
+    this.latencies = new LatencyTracker();
+    const { budget } = this.options.retryOptions;
+    if (budget) {
+      this.retryBudget = new Budget({
+        ratio: 0.2,
+        minPerSecond: 10,
+        ...budget
+      });
+    }
+    if (this.options.coalescing) {
+      this.coalescer = new RequestCoalescer(this.options.coalescing, request);
+    }
+    if (options.metrics) {
+      this.metrics = new ClientMetrics(options.metrics, this.name);
+      const { breaker } = this;
+      if (breaker) {
+        this.stopObservingCircuits = this.metrics.observeCircuitStates(() => [
+          { key: "", state: breaker.getMetrics().state }
+        ]);
+      } else if (circuitBreaker instanceof CircuitBreakerRegistry) {
+        this.stopObservingCircuits = this.metrics.observeCircuitStates(() =>
+          circuitBreaker
+            .list()
+            .map(({ key, metrics }) => ({ key, state: metrics.state }))
+        );
+      }
+    }
+    this.tracer = options.tracer;
+    if (options.rateLimit) {
+      this.rateLimiter = new RateLimiter(options.rateLimit);
+    }
+    if (options.adaptiveConcurrency) {
+      if (options.maxConcurrent !== undefined) {
+        throw new TypeError(
+          "The `maxConcurrent` and `adaptiveConcurrency` options cannot be combined"
+        );
+      }
+      this.concurrencyLimit = new AimdLimit(
+        options.adaptiveConcurrency === true ? {} : options.adaptiveConcurrency
+      );
+    }
+    const maxConcurrent = this.concurrencyLimit
+      ? this.concurrencyLimit.limit
+      : options.maxConcurrent;
+    if (maxConcurrent !== undefined) {
+      this.bulkhead = new Bulkhead({
+        maxConcurrent,
+        maxQueued: options.maxQueued,
+        queueTimeout: options.queueTimeout
+      });
+    }
   }
 
   /**
@@ -590,103 +1166,799 @@ export class ServiceClient {
     return noopBreaker;
   }
 
+  /**
+   * Returns the number of attempts in flight and waiting for a slot, or
+   * `undefined` if neither `maxConcurrent` nor `adaptiveConcurrency` is set.
+   */
+  public getBulkheadMetrics(): BulkheadMetrics | undefined {
+    return this.bulkhead && this.bulkhead.getMetrics();
+  }
+
   /**
    * Perform a request to the service using given @{link ServiceClientRequestOptions}, returning the result in a promise.
    */
   public request(
     userParams: ServiceClientRequestOptions
   ): Promise<ServiceClientResponse> {
+    if (this.closing) {
+      return Promise.reject(
+        new ClientClosedError(new Error("client is closed"), this.name)
+      );
+    }
     const params = { ...this.options.defaultRequestOptions, ...userParams };
 
     params.hostname = this.options.hostname;
     params.port = params.port || (params.protocol === "https:" ? 443 : 80);
     params.timing =
       params.timing !== undefined ? params.timing : this.options.timing;
+    if (this.options.keepAlive && params.agent === undefined) {
+      params.agent = this.getAgent(params.protocol);
+    }
+    if (
+      params.maxResponseBytes === undefined &&
+      this.options.maxResponseBytes !== undefined
+    ) {
+      params.maxResponseBytes = this.options.maxResponseBytes;
+    }
 
     params.headers = {
       accept: "application/json",
+      ...(this.options.compression
+        ? { "accept-encoding": ACCEPT_ENCODING }
+        : {}),
       ...params.headers
     };
 
+    let idempotencyKey = getRequestHeader(
+      params.headers,
+      IDEMPOTENCY_KEY_HEADER
+    );
+    if (typeof params.idempotencyKey === "string") {
+      idempotencyKey = params.idempotencyKey;
+      params.headers[IDEMPOTENCY_KEY_HEADER] = idempotencyKey;
+    } else if (params.idempotencyKey && idempotencyKey === undefined) {
+      idempotencyKey = createIdempotencyKey();
+      params.headers[IDEMPOTENCY_KEY_HEADER] = idempotencyKey;
+    }
+
     const {
       retries,
       factor,
       minTimeout,
       maxTimeout,
       randomize,
+      backoff,
+      maxRetryAfter,
+      methods,
       shouldRetry,
       onRetry
     } = this.options.retryOptions;
+    // a retry must not repeat side effects, unless the service can
+    // recognize it by its idempotency key
+    const method = (params.method || "GET").toUpperCase();
+    const retryable = idempotencyKey !== undefined || methods.includes(method);
 
     const opts = {
       retries,
       factor,
       minTimeout,
       maxTimeout,
-      randomize
+      randomize,
+      backoff
     };
 
-    const retryErrors: ServiceClientError[] = [];
+    const { signal, deadline } = params;
+    let onAbort: (() => void) | undefined;
+    // aborts the attempts in flight when the client is closed
+    const controller = new AbortController(signal);
+
+    const { tracer } = this;
+    const span = tracer
+      ? tracer.startSpan(method, {
+          kind: SpanKind.CLIENT,
+          attributes: getRequestAttributes(params)
+        })
+      : undefined;
+
+    const context: RequestContext = {
+      params: { ...params, signal: controller.signal },
+      breaker: this.getCircuitBreaker(params),
+      retryErrors: [],
+      span,
+      tracedAttempts: 0,
+      deadlineAt:
+        deadline instanceof Date
+          ? deadline.getTime()
+          : deadline !== undefined
+          ? Date.now() + deadline
+          : undefined
+    };
+    const { retryErrors, deadlineAt } = context;
+    const client = this.name;
+    const startTime = Date.now();
+    let attempts = 0;
+    this.emitEvent("request:start", { client, params });
+    let deadlineTimer: NodeJS.Timer | undefined;
+    const deadlineExceeded = () =>
+      new DeadlineExceededError(new Error("deadline exceeded"), this.name);
+    const clientClosed = (error = new Error("client is closed")) =>
+      new ClientClosedError(error, this.name);
+    let pendingRequest: PendingRequest | undefined;
+    let resolvedResponse: ServiceClientResponse | undefined;
+
+    const hedged = this.isHedgeable(params);
     return new Promise<ServiceClientResponse>((resolve, reject) => {
-      const breaker = this.getCircuitBreaker(params);
       const retryOperation = operation(opts, (currentAttempt: number) => {
-        breaker.run(
-          (success: () => void, failure: () => void) => {
-            return requestWithFilters(
-              this,
+        attempts = currentAttempt;
+        this.emitEvent("attempt:start", {
+          client,
+          params,
+          attempt: currentAttempt
+        });
+        const attempt = hedged
+          ? this.hedgedAttempt(context)
+          : this.attempt(context);
+        attempt
+          .then((result: ServiceClientResponse) => {
+            if (this.retryBudget && currentAttempt === 1) {
+              this.retryBudget.deposit();
+            }
+            result.retryErrors = retryErrors;
+            if (idempotencyKey !== undefined) {
+              result.idempotencyKey = idempotencyKey;
+            }
+            resolve(result);
+          })
+          .catch((error: ServiceClientError) => {
+            this.emitEvent("attempt:error", {
+              client,
               params,
-              this.options.filters || [],
-              this.options.autoParseJson
-            )
-              .then((result: ServiceClientResponse) => {
-                success();
-                result.retryErrors = retryErrors;
-                resolve(result);
-              })
-              .catch((error: ServiceClientError) => {
-                retryErrors.push(error);
-                failure();
-                if (!shouldRetry(error, params)) {
-                  reject(
-                    new ShouldRetryRejectedError(error, error.type, this.name)
-                  );
-                  return;
-                }
-                if (!retryOperation.retry()) {
-                  // Wrapping error when user does not want retries would result
-                  // in bad developer experience where you always have to unwrap it
-                  // knowing there is only one error inside, so we do not do that.
-                  if (retries === 0) {
-                    reject(error);
-                  } else {
-                    reject(
-                      new MaximumRetriesReachedError(
-                        error,
-                        error.type,
-                        this.name
-                      )
-                    );
-                  }
-                  return;
-                }
-                onRetry(currentAttempt + 1, error, params);
+              attempt: currentAttempt,
+              error,
+              timings: error.timings,
+              timingPhases: error.timingPhases
+            });
+            if (error instanceof CircuitOpenError) {
+              this.emitEvent("circuit:rejected", {
+                client,
+                params,
+                attempt: currentAttempt,
+                error
               });
+              reject(error);
+              return;
+            }
+            retryErrors.push(error);
+            if (error instanceof RequestAbortedError) {
+              reject(error);
+              return;
+            }
+            if (deadlineAt !== undefined && Date.now() >= deadlineAt) {
+              reject(deadlineExceeded());
+              return;
+            }
+            if (this.closing) {
+              // no new retries once the client is closing
+              reject(clientClosed(error));
+              return;
+            }
+            if (retries > 0 && !retryable) {
+              reject(error);
+              return;
+            }
+            if (!shouldRetry(error, params)) {
+              reject(
+                new ShouldRetryRejectedError(error, error.type, this.name)
+              );
+              return;
+            }
+            const retryAfter = getRetryAfter(error, maxRetryAfter);
+            const delay =
+              retryAfter !== undefined
+                ? retryAfter
+                : retryOperation.nextTimeout(error);
+            if (
+              deadlineAt !== undefined &&
+              delay !== undefined &&
+              Date.now() + delay >= deadlineAt
+            ) {
+              // the retry could not even start before the deadline
+              reject(deadlineExceeded());
+              return;
+            }
+            if (
+              this.retryBudget &&
+              retryOperation.nextTimeout(error) !== undefined &&
+              !this.retryBudget.tryWithdraw()
+            ) {
+              error.retryBudgetExhausted = true;
+              reject(error);
+              return;
+            }
+            if (!retryOperation.retry(error, retryAfter)) {
+              // Wrapping error when user does not want retries would result
+              // in bad developer experience where you always have to unwrap it
+              // knowing there is only one error inside, so we do not do that.
+              if (retries === 0) {
+                reject(error);
+              } else {
+                reject(
+                  new MaximumRetriesReachedError(error, error.type, this.name)
+                );
+              }
+              return;
+            }
+            if (this.metrics) {
+              this.metrics.recordRetry(method);
+            }
+            this.emitEvent("retry:scheduled", {
+              client,
+              params,
+              attempt: currentAttempt + 1,
+              // retry() only succeeds with a delay
+              delay: delay || 0,
+              error
+            });
+            onRetry(currentAttempt + 1, error, params);
+          });
+      });
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new RequestAbortedError(new AbortedError(params), this.name));
+          return;
+        }
+        onAbort = () => {
+          retryOperation.stop();
+          reject(new RequestAbortedError(new AbortedError(params), this.name));
+        };
+        signal.addEventListener("abort", onAbort);
+      }
+
+      if (deadlineAt !== undefined) {
+        if (Date.now() >= deadlineAt) {
+          reject(deadlineExceeded());
+          return;
+        }
+        deadlineTimer = setTimeout(() => {
+          retryOperation.stop();
+          reject(deadlineExceeded());
+        }, deadlineAt - Date.now());
+      }
+
+      pendingRequest = {
+        cancelRetry: () => {
+          if (retryOperation.stop()) {
+            reject(clientClosed());
+          }
+        },
+        cancel: () => {
+          retryOperation.stop();
+          reject(clientClosed());
+          controller.abort();
+        }
+      };
+      this.pendingRequests.add(pendingRequest);
+
+      retryOperation.attempt();
+    })
+      .then(
+        (result: ServiceClientResponse) => {
+          resolvedResponse = result;
+          if (this.metrics) {
+            this.metrics.recordRequest(method, result);
+          }
+          if (span) {
+            recordResponse(span, result);
+          }
+          this.emitEvent("request:success", {
+            client,
+            params,
+            attempts,
+            duration: Date.now() - startTime,
+            response: result,
+            timings: result.timings,
+            timingPhases: result.timingPhases
+          });
+          return result;
+        },
+        (error: unknown) => {
+          const rawError =
+            error instanceof Error ? error : new Error(String(error));
+          const wrappedError =
+            rawError instanceof ServiceClientError
+              ? rawError
+              : new InternalError(rawError, this.name);
+          wrappedError.retryErrors = retryErrors;
+          if (idempotencyKey !== undefined) {
+            wrappedError.idempotencyKey = idempotencyKey;
+          }
+          if (this.metrics) {
+            const { response, timingPhases } = wrappedError;
+            this.metrics.recordRequest(
+              method,
+              { statusCode: response && response.statusCode, timingPhases },
+              getCauseOfFailure(wrappedError)
+            );
+          }
+          if (span) {
+            recordError(span, wrappedError);
+          }
+          this.emitEvent("request:failure", {
+            client,
+            params,
+            attempts,
+            duration: Date.now() - startTime,
+            error: wrappedError,
+            timings: wrappedError.timings,
+            timingPhases: wrappedError.timingPhases
+          });
+          throw wrappedError;
+        }
+      )
+      .finally(() => {
+        disposeAfterBody(controller, resolvedResponse);
+        if (span) {
+          if (context.tracedAttempts > 1) {
+            span.setAttribute(
+              "http.request.resend_count",
+              context.tracedAttempts - 1
+            );
+          }
+          span.end();
+        }
+        if (signal && onAbort) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        if (deadlineTimer) {
+          clearTimeout(deadlineTimer);
+        }
+        if (pendingRequest) {
+          this.pendingRequests.delete(pendingRequest);
+          if (this.pendingRequests.size === 0 && this.onDrained) {
+            this.onDrained();
+          }
+        }
+      });
+  }
+
+  /**
+   * Shuts the client down. New requests are rejected with a
+   * `ClientClosedError` right away, scheduled retries are cancelled and
+   * in-flight requests get `drainTimeout` milliseconds to finish before they
+   * are aborted and rejected as well. Then the circuit breaker created by the client is
+   * disposed and the sockets of its keep-alive agents are destroyed.
+   */
+  public close(options: ServiceClientCloseOptions = {}): Promise<void> {
+    if (!this.closing) {
+      const { drainTimeout = DEFAULT_DRAIN_TIMEOUT } = options;
+      this.closing = this.drain(drainTimeout).then(() => {
+        if (this.stopObservingCircuits) {
+          this.stopObservingCircuits();
+        }
+        if (this.breaker) {
+          this.breaker.dispose();
+        }
+        for (const agent of this.agents.values()) {
+          agent.destroy();
+        }
+        this.agents.clear();
+      });
+    }
+    return this.closing;
+  }
+
+  /**
+   * Errors of listeners are thrown on the next tick, so that they cannot
+   * break or hang the request.
+   */
+  private emitEvent<K extends keyof ServiceClientEvents>(
+    name: K,
+    event: ServiceClientEvents[K]
+  ) {
+    try {
+      this.emit(name, event);
+    } catch (error) {
+      process.nextTick(() => {
+        throw error;
+      });
+    }
+    publishDiagnostics(name, event);
+  }
+
+  private drain(drainTimeout: number): Promise<void> {
+    for (const pendingRequest of this.pendingRequests) {
+      pendingRequest.cancelRetry();
+    }
+    return new Promise(resolve => {
+      if (this.pendingRequests.size === 0) {
+        resolve();
+        return;
+      }
+      const drainTimer = setTimeout(() => {
+        for (const pendingRequest of this.pendingRequests) {
+          pendingRequest.cancel();
+        }
+        // waiting attempts must not be sent after the client closed
+        if (this.rateLimiter) {
+          this.rateLimiter.clear();
+        }
+        if (this.bulkhead) {
+          this.bulkhead.clear();
+        }
+      }, drainTimeout);
+      this.onDrained = () => {
+        this.onDrained = undefined;
+        clearTimeout(drainTimer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Returns the keep-alive agent of the client for the protocol.
+   */
+  private getAgent(protocol = "https:"): HttpAgent {
+    let agent = this.agents.get(protocol);
+    if (!agent) {
+      agent =
+        protocol === "http:"
+          ? new HttpAgent({ keepAlive: true })
+          : new HttpsAgent({ keepAlive: true });
+      this.agents.set(protocol, agent);
+    }
+    return agent;
+  }
+
+  /**
+   * Performs a single attempt once the rate limit allows it.
+   */
+  private attempt(
+    context: RequestContext,
+    params = context.params,
+    coalesce = true
+  ): Promise<ServiceClientResponse> {
+    const { rateLimiter } = this;
+    if (!rateLimiter) {
+      return this.attemptWithBulkhead(context, params, coalesce);
+    }
+    const remaining = getRemainingTime(context);
+    return rateLimiter
+      .acquire(
+        params,
+        params.signal,
+        remaining === undefined
+          ? rateLimiter.maxWait
+          : Math.min(rateLimiter.maxWait, remaining)
+      )
+      .then(
+        () => this.attemptWithBulkhead(context, params, coalesce),
+        (error: Error) => {
+          if (params.signal && params.signal.aborted) {
+            throw new RequestAbortedError(new AbortedError(params), this.name);
+          }
+          throw new RateLimitedError(error, this.name);
+        }
+      );
+  }
+
+  /**
+   * Performs a single attempt once the bulkhead has a free slot for it.
+   */
+  private attemptWithBulkhead(
+    context: RequestContext,
+    params: ServiceClientRequestOptions,
+    coalesce: boolean
+  ): Promise<ServiceClientResponse> {
+    const { bulkhead } = this;
+    if (!bulkhead) {
+      return this.attemptWithBreaker(context, params, coalesce);
+    }
+    let { queueTimeout } = bulkhead;
+    const remaining = getRemainingTime(context);
+    if (remaining !== undefined) {
+      queueTimeout =
+        queueTimeout === undefined
+          ? remaining
+          : Math.min(queueTimeout, remaining);
+    }
+    // rejections happen before the circuit breaker, so they are not counted
+    return bulkhead.acquire(params.signal, queueTimeout).then(
+      release => {
+        const { inFlight } = bulkhead.getMetrics();
+        const startTime = Date.now();
+        const attempt = this.attemptWithBreaker(context, params, coalesce);
+        attempt.then(
+          response => {
+            release();
+            this.updateConcurrencyLimit(params, inFlight, startTime, response);
           },
-          () => {
-            reject(new CircuitOpenError(new Error(), this.name));
+          (error: ServiceClientError) => {
+            release();
+            this.updateConcurrencyLimit(
+              params,
+              inFlight,
+              startTime,
+              undefined,
+              error
+            );
           }
         );
-      });
-      retryOperation.attempt();
-    }).catch((error: unknown) => {
-      const rawError =
-        error instanceof Error ? error : new Error(String(error));
-      const wrappedError =
-        rawError instanceof ServiceClientError
-          ? rawError
-          : new InternalError(rawError, this.name);
-      wrappedError.retryErrors = retryErrors;
-      throw wrappedError;
+        return attempt;
+      },
+      (error: Error) => {
+        if (params.signal && params.signal.aborted) {
+          throw new RequestAbortedError(new AbortedError(params), this.name);
+        }
+        throw new BulkheadRejectedError(error, this.name);
+      }
+    );
+  }
+
+  /**
+   * Performs a single attempt through the circuit breaker and the filters.
+   */
+  private attemptWithBreaker(
+    context: RequestContext,
+    params: ServiceClientRequestOptions,
+    coalesce: boolean
+  ): Promise<ServiceClientResponse> {
+    const { breaker, deadlineAt } = context;
+    const { coalescer } = this;
+    const sendRequest =
+      coalesce && coalescer
+        ? (requestOptions: ServiceClientRequestOptions) =>
+            coalescer.request(requestOptions)
+        : request;
+    const send = context.span
+      ? (requestOptions: ServiceClientRequestOptions) =>
+          this.sendInSpan(context, requestOptions, sendRequest)
+      : sendRequest;
+    if (deadlineAt !== undefined) {
+      // a single attempt must not outlive the whole operation
+      const remaining = Math.max(1, deadlineAt - Date.now());
+      params = {
+        ...params,
+        dropRequestAfter: params.dropRequestAfter
+          ? Math.min(params.dropRequestAfter, remaining)
+          : remaining
+      };
+    }
+    return new Promise((resolve, reject) => {
+      breaker.run(
+        (
+          success: () => void,
+          failure: () => void,
+          // custom circuit breakers might not support ignoring a command
+          ignore: () => void = noop
+        ) => {
+          // a signal is only added if the breaker may cancel the attempt
+          const controller = breaker.cancelOnTimeout
+            ? new AbortController(params.signal)
+            : undefined;
+          let timedOut = false;
+          requestWithFilters(
+            this,
+            controller ? { ...params, signal: controller.signal } : params,
+            this.options.filters || [],
+            this.options.autoParseJson,
+            send
+          ).then(
+            (result: ServiceClientResponse) => {
+              if (controller) {
+                disposeAfterBody(controller, result);
+              }
+              success();
+              resolve(result);
+            },
+            (error: ServiceClientError) => {
+              if (controller) {
+                controller.dispose();
+              }
+              if (timedOut) {
+                // the breaker already counted the timeout
+                reject(
+                  new CircuitBreakerTimeoutError(
+                    new Error("circuit breaker timeout"),
+                    this.name
+                  )
+                );
+              } else if (
+                // the user gave up on the request, so it tells nothing
+                // about the health of the service
+                error instanceof RequestAbortedError ||
+                !this.options.isCircuitBreakerFailure(error, params)
+              ) {
+                ignore();
+              } else {
+                failure();
+              }
+              reject(error);
+            }
+          );
+          return () => {
+            if (controller) {
+              timedOut = true;
+              controller.abort();
+            }
+          };
+        },
+        () => {
+          reject(new CircuitOpenError(new Error(), this.name));
+        }
+      );
+    });
+  }
+
+  /**
+   * Sends an attempt in a child span of the request. The span is propagated
+   * after the filters ran, so that responses from a cache have no span.
+   */
+  private sendInSpan(
+    context: RequestContext,
+    params: ServiceClientRequestOptions,
+    send: (
+      params: ServiceClientRequestOptions
+    ) => Promise<ServiceClientResponse>
+  ): Promise<ServiceClientResponse> {
+    const { tracer } = this;
+    if (!tracer || !context.span) {
+      return send(params);
+    }
+    const attributes = getRequestAttributes(params);
+    const resendCount = context.tracedAttempts++;
+    if (resendCount > 0) {
+      attributes["http.request.resend_count"] = resendCount;
+    }
+    const span = tracer.startSpan(
+      String(attributes["http.request.method"]),
+      { kind: SpanKind.CLIENT, attributes },
+      context.span
+    );
+    return send({
+      ...params,
+      headers: injectTraceContext(params.headers || {}, span)
+    }).then(
+      response => {
+        recordResponse(span, response);
+        span.end();
+        return response;
+      },
+      (error: Error) => {
+        recordError(span, error);
+        span.end();
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Adjusts the bulkhead to the outcome of an attempt in the adaptive mode.
+   * Attempts that did not reach the service tell nothing about its capacity.
+   */
+  private updateConcurrencyLimit(
+    params: ServiceClientRequestOptions,
+    inFlight: number,
+    startTime: number,
+    response?: ServiceClientResponse,
+    error?: ServiceClientError
+  ) {
+    const { bulkhead, concurrencyLimit } = this;
+    if (
+      !bulkhead ||
+      !concurrencyLimit ||
+      error instanceof CircuitOpenError ||
+      error instanceof RequestAbortedError
+    ) {
+      return;
+    }
+    const timingPhases = response
+      ? response.timingPhases
+      : error && error.timingPhases;
+    const latency =
+      timingPhases && timingPhases.total !== undefined
+        ? timingPhases.total
+        : Date.now() - startTime;
+    const failed =
+      error !== undefined &&
+      this.options.isCircuitBreakerFailure(error, params);
+    bulkhead.setMaxConcurrent(
+      concurrencyLimit.update({ inFlight, latency, failed })
+    );
+  }
+
+  private isHedgeable(params: ServiceClientRequestOptions): boolean {
+    const { hedging } = this.options;
+    return (
+      hedging !== undefined &&
+      params.responseType !== "stream" &&
+      hedging.methods.includes((params.method || "GET").toUpperCase())
+    );
+  }
+
+  /**
+   * Starts a second attempt in parallel if the first one takes too long,
+   * resolving with whichever succeeds first and aborting the other one.
+   */
+  private hedgedAttempt(
+    context: RequestContext
+  ): Promise<ServiceClientResponse> {
+    const hedging = this.options.hedging as HedgingStrictOptions;
+    this.hedgeBudget.deposit();
+
+    const percentile =
+      hedging.percentile !== undefined
+        ? this.latencies.percentile(hedging.percentile)
+        : undefined;
+    const delay = percentile !== undefined ? percentile : hedging.delay;
+
+    return new Promise((resolve, reject) => {
+      const controllers: AbortController[] = [];
+      const startTime = Date.now();
+      let hedgeTimer: NodeJS.Timer | undefined;
+      let pending = 0;
+      let settled = false;
+
+      const settle = (winner?: AbortController) => {
+        settled = true;
+        if (hedgeTimer) {
+          clearTimeout(hedgeTimer);
+        }
+        for (const controller of controllers) {
+          if (controller === winner) {
+            controller.dispose();
+          } else {
+            controller.abort();
+          }
+        }
+      };
+
+      const start = (isHedge: boolean) => {
+        const controller = new AbortController(context.params.signal);
+        controllers.push(controller);
+        pending++;
+        this.attempt(
+          context,
+          { ...context.params, signal: controller.signal },
+          // a hedged attempt would just join the first one
+          !isHedge
+        ).then(
+          response => {
+            pending--;
+            if (settled) {
+              return;
+            }
+            settle(controller);
+            // the latency of the first attempt, which is at least this long
+            // if it lost and was aborted. The latency of a winning hedge
+            // would lower the delay until every request is hedged.
+            this.latencies.record(Date.now() - startTime);
+            response.hedged = isHedge;
+            resolve(response);
+          },
+          error => {
+            pending--;
+            if (settled) {
+              return;
+            }
+            if (pending > 0) {
+              // the other attempt may still succeed
+              context.retryErrors.push(error);
+              return;
+            }
+            settle();
+            reject(error);
+          }
+        );
+      };
+
+      hedgeTimer = setTimeout(() => {
+        hedgeTimer = undefined;
+        if (!settled && this.hedgeBudget.tryWithdraw()) {
+          start(true);
+        }
+      }, delay);
+      start(false);
     });
   }
 }
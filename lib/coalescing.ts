@@ -0,0 +1,230 @@
+import { AbortController } from "./abort";
+import {
+  AbortedError,
+  getRequestHeader,
+  getRequestPath,
+  ServiceClientRequestOptions,
+  ServiceClientResponse,
+  UserTimeoutError
+} from "./request";
+
+export interface CoalescingOptions {
+  /**
+   * Requests with the same key share a single HTTP request while it is in
+   * flight. Returning `undefined` opts a request out of coalescing.
+   * Defaults to the method, path, query and the request headers.
+   * Requests with different options that change the response, like
+   * `timing` or `maxResponseBytes`, are never shared.
+   */
+  key?: (params: ServiceClientRequestOptions) => string | undefined;
+  /**
+   * Only these request headers are part of the default key. By default, all
+   * request headers except the ones that are set for every attempt are.
+   */
+  headers?: string[];
+}
+
+type Send = (
+  params: ServiceClientRequestOptions
+) => Promise<ServiceClientResponse>;
+
+interface SharedRequest {
+  response: Promise<ServiceClientResponse>;
+  controller: AbortController;
+  waiters: number;
+}
+
+const COALESCABLE_METHODS = ["GET", "HEAD"];
+
+/**
+ * Headers that differ between attempts of the same request.
+ */
+const PER_ATTEMPT_HEADERS = ["traceparent", "tracestate", "idempotency-key"];
+
+/**
+ * The options besides the key that change the response of a request.
+ */
+const getResponseOptionsKey = (params: ServiceClientRequestOptions): string =>
+  JSON.stringify([
+    params.protocol || "https:",
+    params.hostname,
+    params.port,
+    params.autoDecodeUtf8 !== false,
+    params.maxResponseBytes,
+    Boolean(params.timing)
+  ]);
+
+/**
+ * The sorted names of the request headers, without the per-attempt headers.
+ */
+const getHeaderNames = (params: ServiceClientRequestOptions): string[] => {
+  const headers = params.headers || {};
+  const names = new Set<string>();
+  for (const name of Object.keys(headers)) {
+    const lowerCaseName = name.toLowerCase();
+    if (
+      headers[name] !== undefined &&
+      !PER_ATTEMPT_HEADERS.includes(lowerCaseName)
+    ) {
+      names.add(lowerCaseName);
+    }
+  }
+  return Array.from(names).sort();
+};
+
+/**
+ * Every waiter gets its own response, so that filters can modify it.
+ */
+const copyResponse = (
+  response: ServiceClientResponse,
+  params: ServiceClientRequestOptions
+): ServiceClientResponse => {
+  const { body } = response;
+  const copy = new ServiceClientResponse(
+    response.statusCode,
+    { ...response.headers },
+    Buffer.isBuffer(body) ? Buffer.from(body) : body,
+    params
+  );
+  copy.timings = response.timings && { ...response.timings };
+  copy.timingPhases = response.timingPhases && { ...response.timingPhases };
+  return copy;
+};
+
+/**
+ * Lets identical concurrent `GET` and `HEAD` requests share one HTTP request.
+ * Each waiter keeps its own `signal` and `dropRequestAfter`, and the shared
+ * request is only aborted once all waiters gave up on it.
+ */
+export class RequestCoalescer {
+  private readonly inFlight = new Map<string, SharedRequest>();
+  private readonly headers?: string[];
+  private readonly key: (
+    params: ServiceClientRequestOptions
+  ) => string | undefined;
+
+  constructor(options: CoalescingOptions, private readonly send: Send) {
+    this.headers =
+      options.headers && options.headers.map(name => name.toLowerCase());
+    this.key = options.key || (params => this.defaultKey(params));
+  }
+
+  public request(
+    params: ServiceClientRequestOptions
+  ): Promise<ServiceClientResponse> {
+    const customKey = this.isCoalescable(params) ? this.key(params) : undefined;
+    if (customKey === undefined) {
+      return this.send(params);
+    }
+    // the shared request is sent with the options of the first waiter
+    const key = `${customKey}\n${getResponseOptionsKey(params)}`;
+    const shared = this.inFlight.get(key) || this.start(key, params);
+    return this.wait(key, shared, params);
+  }
+
+  private isCoalescable(params: ServiceClientRequestOptions): boolean {
+    return (
+      COALESCABLE_METHODS.includes((params.method || "GET").toUpperCase()) &&
+      params.body === undefined &&
+      params.responseType !== "stream"
+    );
+  }
+
+  private defaultKey(params: ServiceClientRequestOptions): string {
+    const method = (params.method || "GET").toUpperCase();
+    const names = this.headers || getHeaderNames(params);
+    const headers = names.map(
+      name => `${name}: ${getRequestHeader(params.headers, name) || ""}`
+    );
+    return [`${method} ${getRequestPath(params)}`, ...headers].join("\n");
+  }
+
+  private start(key: string, params: ServiceClientRequestOptions) {
+    const controller = new AbortController();
+    const shared: SharedRequest = {
+      // the waiters enforce their own timeouts
+      response: this.send({
+        ...params,
+        signal: controller.signal,
+        dropRequestAfter: undefined
+      }),
+      controller,
+      waiters: 0
+    };
+    const remove = () => this.remove(key, shared);
+    shared.response.then(remove, remove);
+    this.inFlight.set(key, shared);
+    return shared;
+  }
+
+  private remove(key: string, shared: SharedRequest) {
+    if (this.inFlight.get(key) === shared) {
+      this.inFlight.delete(key);
+    }
+  }
+
+  private wait(
+    key: string,
+    shared: SharedRequest,
+    params: ServiceClientRequestOptions
+  ): Promise<ServiceClientResponse> {
+    const { signal, dropRequestAfter } = params;
+    shared.waiters++;
+    return new Promise((resolve, reject) => {
+      let timer: NodeJS.Timer | undefined;
+      let done = false;
+
+      const finish = () => {
+        done = true;
+        shared.waiters--;
+        if (timer) {
+          clearTimeout(timer);
+        }
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+
+      const leave = (error: Error) => {
+        finish();
+        if (shared.waiters === 0) {
+          // nobody may join a request that is about to be aborted
+          this.remove(key, shared);
+          shared.controller.abort();
+        }
+        reject(error);
+      };
+
+      const onAbort = () => leave(new AbortedError(params));
+
+      shared.response.then(
+        response => {
+          if (!done) {
+            finish();
+            resolve(copyResponse(response, params));
+          }
+        },
+        error => {
+          if (!done) {
+            finish();
+            reject(error);
+          }
+        }
+      );
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener("abort", onAbort);
+      }
+      if (dropRequestAfter) {
+        timer = setTimeout(
+          () => leave(new UserTimeoutError(params)),
+          dropRequestAfter
+        );
+      }
+    });
+  }
+}
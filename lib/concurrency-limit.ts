@@ -0,0 +1,103 @@
+import { LatencyTracker } from "./hedging";
+
+export interface AdaptiveConcurrencyOptions {
+  /**
+   * @default 20
+   */
+  initialLimit?: number;
+  /**
+   * @default 1
+   */
+  minLimit?: number;
+  /**
+   * @default 200
+   */
+  maxLimit?: number;
+  /**
+   * Factor the limit is multiplied with after a failed or slow attempt.
+   * @default 0.9
+   */
+  backoffRatio?: number;
+  /**
+   * Attempts that take longer than this multiple of the usual latency, the
+   * 10th percentile of the recent attempts, count as slow.
+   * @default 2
+   */
+  latencyTolerance?: number;
+}
+
+/**
+ * The outcome of an attempt.
+ */
+export interface ConcurrencySample {
+  /**
+   * Attempts in flight when the attempt started, including itself.
+   */
+  inFlight: number;
+  latency: number;
+  failed: boolean;
+}
+
+const BASELINE_PERCENTILE = 10;
+
+/**
+ * Additive increase, multiplicative decrease limit like the AIMD limit of
+ * Netflix concurrency-limits. The limit grows by one for every attempt that
+ * succeeds quickly while at least half of the limit is used, and shrinks by
+ * `backoffRatio` for every attempt that fails or is slow.
+ */
+export class AimdLimit {
+  public readonly minLimit: number;
+  public readonly maxLimit: number;
+  public readonly backoffRatio: number;
+  public readonly latencyTolerance: number;
+
+  private currentLimit: number;
+  private readonly latencies = new LatencyTracker(100);
+
+  constructor(options: AdaptiveConcurrencyOptions = {}) {
+    this.minLimit = options.minLimit || 1;
+    this.maxLimit = options.maxLimit || 200;
+    this.backoffRatio =
+      options.backoffRatio !== undefined ? options.backoffRatio : 0.9;
+    this.latencyTolerance = options.latencyTolerance || 2;
+    const initialLimit = options.initialLimit || 20;
+    if (
+      this.minLimit > this.maxLimit ||
+      !(this.backoffRatio > 0 && this.backoffRatio < 1)
+    ) {
+      throw new TypeError(
+        "The `minLimit` must not exceed the `maxLimit` and the `backoffRatio` must be between 0 and 1"
+      );
+    }
+    this.currentLimit = Math.min(
+      this.maxLimit,
+      Math.max(this.minLimit, initialLimit)
+    );
+  }
+
+  public get limit(): number {
+    return this.currentLimit;
+  }
+
+  /**
+   * Updates the limit with the outcome of an attempt and returns it.
+   */
+  public update(sample: ConcurrencySample): number {
+    const baseline = this.latencies.percentile(BASELINE_PERCENTILE);
+    this.latencies.record(sample.latency);
+    const slow =
+      baseline !== undefined &&
+      sample.latency > baseline * this.latencyTolerance;
+    if (sample.failed || slow) {
+      this.currentLimit = Math.max(
+        this.minLimit,
+        Math.floor(this.currentLimit * this.backoffRatio)
+      );
+    } else if (sample.inFlight * 2 >= this.currentLimit) {
+      // only grow if the limit was actually needed
+      this.currentLimit = Math.min(this.maxLimit, this.currentLimit + 1);
+    }
+    return this.currentLimit;
+  }
+}
@@ -0,0 +1,121 @@
+import { ServiceClientError } from "./client";
+import {
+  ServiceClientRequestOptions,
+  ServiceClientResponse,
+  TimingPhases,
+  Timings
+} from "./request";
+
+interface ClientEvent {
+  /**
+   * Name of the client
+   */
+  client: string;
+  params: ServiceClientRequestOptions;
+}
+
+export type RequestStartEvent = ClientEvent;
+
+export interface AttemptStartEvent extends ClientEvent {
+  /**
+   * Starts at 1 for the first attempt
+   */
+  attempt: number;
+}
+
+export interface AttemptErrorEvent extends ClientEvent {
+  attempt: number;
+  error: ServiceClientError;
+  timings?: Timings;
+  timingPhases?: TimingPhases;
+}
+
+export interface RetryScheduledEvent extends ClientEvent {
+  /**
+   * The attempt that is going to be made
+   */
+  attempt: number;
+  /**
+   * Milliseconds until the attempt is made
+   */
+  delay: number;
+  error: ServiceClientError;
+}
+
+export interface CircuitRejectedEvent extends ClientEvent {
+  attempt: number;
+  error: ServiceClientError;
+}
+
+export interface RequestSuccessEvent extends ClientEvent {
+  attempts: number;
+  /**
+   * Milliseconds since the request started, including all retries
+   */
+  duration: number;
+  response: ServiceClientResponse;
+  timings?: Timings;
+  timingPhases?: TimingPhases;
+}
+
+export interface RequestFailureEvent extends ClientEvent {
+  attempts: number;
+  duration: number;
+  error: ServiceClientError;
+  timings?: Timings;
+  timingPhases?: TimingPhases;
+}
+
+/**
+ * The events of a `ServiceClient` by name.
+ */
+export interface ServiceClientEvents {
+  "request:start": RequestStartEvent;
+  "attempt:start": AttemptStartEvent;
+  "attempt:error": AttemptErrorEvent;
+  "retry:scheduled": RetryScheduledEvent;
+  "circuit:rejected": CircuitRejectedEvent;
+  "request:success": RequestSuccessEvent;
+  "request:failure": RequestFailureEvent;
+}
+
+/**
+ * Subset of a channel of the `diagnostics_channel` module.
+ */
+interface DiagnosticsChannel {
+  readonly hasSubscribers: boolean;
+  publish(message: unknown): void;
+}
+
+let diagnosticsChannel:
+  | { channel(name: string): DiagnosticsChannel }
+  | undefined;
+try {
+  // only available since Node 15.1 and 14.17
+  diagnosticsChannel = require("diagnostics_channel");
+} catch (error) {
+  diagnosticsChannel = undefined;
+}
+
+const channels = new Map<string, DiagnosticsChannel>();
+
+/**
+ * Publishes the event to the `perron:<name>` diagnostics channel, so that
+ * APMs can subscribe to the events of all clients.
+ */
+export const publishDiagnostics = <K extends keyof ServiceClientEvents>(
+  name: K,
+  event: ServiceClientEvents[K]
+) => {
+  if (!diagnosticsChannel) {
+    return;
+  }
+  let channel = channels.get(name);
+  if (!channel) {
+    channel = diagnosticsChannel.channel(`perron:${name}`);
+    channels.set(name, channel);
+  }
+  if (channel.hasSubscribers) {
+    channel.publish(event);
+  }
+};
@@ -0,0 +1,56 @@
+export interface HedgingOptions {
+  /**
+   * Milliseconds to wait for the first attempt before a hedged attempt is
+   * started in parallel. When `percentile` is set, this is only used until
+   * enough latencies have been observed.
+   */
+  delay: number;
+  /**
+   * Start the hedged attempt once the first one is slower than this
+   * percentile of the recently observed latencies, e.g. 95.
+   */
+  percentile?: number;
+  /**
+   * Maximum ratio of hedged attempts to requests within 10 seconds.
+   * @default 0.1
+   */
+  budget?: number;
+  /**
+   * Only requests with these methods are hedged, as they have to be idempotent.
+   * @default ["GET", "HEAD"]
+   */
+  methods?: string[];
+}
+
+const MIN_SAMPLES = 20;
+
+/**
+ * Keeps the latencies of the most recent requests to calculate percentiles.
+ */
+export class LatencyTracker {
+  private readonly samples: number[] = [];
+  private next = 0;
+
+  constructor(private readonly size = 1000) {}
+
+  public record(latency: number) {
+    if (this.samples.length < this.size) {
+      this.samples.push(latency);
+    } else {
+      this.samples[this.next] = latency;
+    }
+    this.next = (this.next + 1) % this.size;
+  }
+
+  /**
+   * Returns `undefined` until there are enough samples.
+   */
+  public percentile(percentile: number): number | undefined {
+    if (this.samples.length < MIN_SAMPLES) {
+      return undefined;
+    }
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, index))];
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * A map that holds at most `maxSize` entries and evicts the least recently
+ * used one when it is full. Relies on `Map` keeping the insertion order.
+ */
+export class LruCache<K, V> {
+  private readonly map = new Map<K, V>();
+
+  /**
+   * `onEvict` is called for entries that are evicted to make room for new
+   * ones, but not for deleted or replaced entries.
+   */
+  constructor(
+    public readonly maxSize: number,
+    private readonly onEvict?: (key: K, value: V) => void
+  ) {
+    if (!(maxSize > 0)) {
+      throw new TypeError("The `maxSize` of a cache must be positive");
+    }
+  }
+
+  public get size(): number {
+    return this.map.size;
+  }
+
+  public has(key: K): boolean {
+    return this.map.has(key);
+  }
+
+  public get(key: K): V | undefined {
+    if (!this.map.has(key)) {
+      return undefined;
+    }
+    const value = this.map.get(key) as V;
+    // move the entry to the end, so it is evicted last
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  public set(key: K, value: V) {
+    this.map.delete(key);
+    this.map.set(key, value);
+    if (this.map.size > this.maxSize) {
+      const [oldestKey, oldestValue] = this.map.entries().next().value;
+      this.map.delete(oldestKey);
+      if (this.onEvict) {
+        this.onEvict(oldestKey, oldestValue);
+      }
+    }
+  }
+
+  public delete(key: K): boolean {
+    return this.map.delete(key);
+  }
+
+  public keys(): IterableIterator<K> {
+    return this.map.keys();
+  }
+
+  public values(): IterableIterator<V> {
+    return this.map.values();
+  }
+
+  public entries(): IterableIterator<[K, V]> {
+    return this.map.entries();
+  }
+
+  public clear() {
+    this.map.clear();
+  }
+}
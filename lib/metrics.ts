@@ -0,0 +1,323 @@
+import { TimingPhases } from "./request";
+
+export interface Labels {
+  [name: string]: string;
+}
+
+export interface Sample {
+  labels: Labels;
+  value: number;
+}
+
+/**
+ * Latency buckets in seconds.
+ */
+export const DEFAULT_BUCKETS: ReadonlyArray<number> = [
+  0.005,
+  0.01,
+  0.025,
+  0.05,
+  0.1,
+  0.25,
+  0.5,
+  1,
+  2.5,
+  5,
+  10
+];
+
+const escapeLabelValue = (value: string) =>
+  value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels: Labels): string => {
+  const pairs = Object.keys(labels).map(
+    name => `${name}="${escapeLabelValue(labels[name])}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value: number): string =>
+  value === Infinity ? "+Inf" : value === -Infinity ? "-Inf" : String(value);
+
+interface MetricFamily {
+  readonly name: string;
+  readonly type: "counter" | "gauge" | "histogram";
+  readonly help: string;
+  readonly unit?: string;
+  /**
+   * Returns the lines of all samples.
+   */
+  collect(): string[];
+}
+
+export class Counter implements MetricFamily {
+  public readonly type = "counter";
+  private readonly samples = new Map<string, number>();
+
+  constructor(public readonly name: string, public readonly help: string) {}
+
+  public inc(labels: Labels, value = 1) {
+    const key = formatLabels(labels);
+    this.samples.set(key, (this.samples.get(key) || 0) + value);
+  }
+
+  public collect(): string[] {
+    const lines: string[] = [];
+    for (const [labels, value] of this.samples) {
+      lines.push(`${this.name}_total${labels} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * The values of a gauge are collected from callbacks when the metrics are
+ * exported, e.g. the current state of circuit breakers.
+ */
+export class Gauge implements MetricFamily {
+  public readonly type = "gauge";
+  private readonly collectors = new Set<() => Sample[]>();
+
+  constructor(public readonly name: string, public readonly help: string) {}
+
+  /**
+   * Returns a function that removes the collector again.
+   */
+  public addCollector(collector: () => Sample[]): () => void {
+    this.collectors.add(collector);
+    return () => {
+      this.collectors.delete(collector);
+    };
+  }
+
+  public collect(): string[] {
+    const lines: string[] = [];
+    for (const collector of this.collectors) {
+      for (const sample of collector()) {
+        lines.push(
+          `${this.name}${formatLabels(sample.labels)} ${formatValue(
+            sample.value
+          )}`
+        );
+      }
+    }
+    return lines;
+  }
+}
+
+interface HistogramSample {
+  labels: Labels;
+  buckets: number[];
+  count: number;
+  sum: number;
+}
+
+export class Histogram implements MetricFamily {
+  public readonly type = "histogram";
+  private readonly samples = new Map<string, HistogramSample>();
+
+  constructor(
+    public readonly name: string,
+    public readonly help: string,
+    public readonly unit: string,
+    private readonly buckets: ReadonlyArray<number>
+  ) {}
+
+  public observe(labels: Labels, value: number) {
+    const key = formatLabels(labels);
+    let sample = this.samples.get(key);
+    if (!sample) {
+      sample = {
+        labels,
+        buckets: this.buckets.map(() => 0),
+        count: 0,
+        sum: 0
+      };
+      this.samples.set(key, sample);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        (sample as HistogramSample).buckets[index]++;
+      }
+    });
+    sample.count++;
+    sample.sum += value;
+  }
+
+  public collect(): string[] {
+    const lines: string[] = [];
+    for (const [labels, sample] of this.samples) {
+      this.buckets.forEach((bound, index) => {
+        const bucketLabels = formatLabels({
+          ...sample.labels,
+          le: formatValue(bound)
+        });
+        lines.push(
+          `${this.name}_bucket${bucketLabels} ${sample.buckets[index]}`
+        );
+      });
+      const infLabels = formatLabels({ ...sample.labels, le: "+Inf" });
+      lines.push(`${this.name}_bucket${infLabels} ${sample.count}`);
+      lines.push(`${this.name}_count${labels} ${sample.count}`);
+      lines.push(`${this.name}_sum${labels} ${formatValue(sample.sum)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Keeps metrics in memory and exports them in the OpenMetrics text format,
+ * so that they can be served by an existing `/metrics` endpoint. It can be
+ * shared by several clients.
+ */
+export class MetricsRegistry {
+  public static readonly CONTENT_TYPE =
+    "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+  private readonly families = new Map<string, MetricFamily>();
+
+  public counter(name: string, help: string): Counter {
+    return this.register(new Counter(name, help));
+  }
+
+  public gauge(name: string, help: string): Gauge {
+    return this.register(new Gauge(name, help));
+  }
+
+  public histogram(
+    name: string,
+    help: string,
+    unit: string,
+    buckets: ReadonlyArray<number> = DEFAULT_BUCKETS
+  ): Histogram {
+    return this.register(new Histogram(name, help, unit, buckets));
+  }
+
+  /**
+   * Returns all metrics in the OpenMetrics text format.
+   */
+  public metrics(): string {
+    const lines: string[] = [];
+    for (const family of this.families.values()) {
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      if (family.unit) {
+        lines.push(`# UNIT ${family.name} ${family.unit}`);
+      }
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      lines.push(...family.collect());
+    }
+    lines.push("# EOF");
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Returns the existing family with the same name, so that clients can
+   * share a registry.
+   */
+  private register<T extends MetricFamily>(family: T): T {
+    const existing = this.families.get(family.name);
+    if (existing) {
+      if (existing.type !== family.type) {
+        throw new TypeError(
+          `The metric ${family.name} is already registered as a ${existing.type}`
+        );
+      }
+      return existing as T;
+    }
+    this.families.set(family.name, family);
+    return family;
+  }
+}
+
+const PHASES: Array<keyof TimingPhases> = [
+  "total",
+  "dns",
+  "tcp",
+  "tls",
+  "firstByte"
+];
+
+const CIRCUIT_STATES = ["closed", "open", "half-open"];
+
+/**
+ * Internal only, the metrics that a client records in a registry.
+ */
+export class ClientMetrics {
+  private readonly requests: Counter;
+  private readonly retries: Counter;
+  private readonly durations: Histogram;
+  private readonly circuitStates: Gauge;
+
+  constructor(registry: MetricsRegistry, private readonly client: string) {
+    this.requests = registry.counter(
+      "perron_requests",
+      "Requests by client, method, status class and error."
+    );
+    this.retries = registry.counter(
+      "perron_retries",
+      "Retries by client and method."
+    );
+    this.durations = registry.histogram(
+      "perron_request_duration_seconds",
+      "Duration of the timing phases of requests, if timing is enabled.",
+      "seconds"
+    );
+    this.circuitStates = registry.gauge(
+      "perron_circuit_breaker_state",
+      "1 for the current state of a circuit breaker, 0 for the others."
+    );
+  }
+
+  public recordRequest(
+    method: string,
+    result: { statusCode?: number; timingPhases?: TimingPhases },
+    error?: Error
+  ) {
+    const { client } = this;
+    this.requests.inc({
+      client,
+      method,
+      status_class: result.statusCode
+        ? `${Math.floor(result.statusCode / 100)}xx`
+        : "",
+      error: error ? error.constructor.name : ""
+    });
+    const { timingPhases } = result;
+    if (timingPhases) {
+      for (const phase of PHASES) {
+        const duration = timingPhases[phase];
+        if (duration !== undefined) {
+          this.durations.observe({ client, phase }, duration / 1000);
+        }
+      }
+    }
+  }
+
+  public recordRetry(method: string) {
+    this.retries.inc({ client: this.client, method });
+  }
+
+  /**
+   * Reports the states returned by the callback, the `key` distinguishes
+   * the breakers of a registry. Returns a function that stops reporting.
+   */
+  public observeCircuitStates(
+    collect: () => Array<{ key: string; state: string }>
+  ): () => void {
+    return this.circuitStates.addCollector(() => {
+      const samples: Sample[] = [];
+      for (const { key, state } of collect()) {
+        for (const candidate of CIRCUIT_STATES) {
+          samples.push({
+            labels: { client: this.client, key, state: candidate },
+            value: candidate === state ? 1 : 0
+          });
+        }
+      }
+      return samples;
+    });
+  }
+}
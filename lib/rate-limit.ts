@@ -0,0 +1,159 @@
+import { LruCache } from "./lru";
+import { AbortSignalLike, ServiceClientRequestOptions } from "./request";
+
+export interface RateLimitOptions {
+  /**
+   * Attempts per second.
+   */
+  rate: number;
+  /**
+   * Attempts that may be made at once after a quiet period.
+   * @default 1
+   */
+  burst?: number;
+  /**
+   * Milliseconds an attempt may wait for its turn. Attempts that would have
+   * to wait longer are rejected right away.
+   * @default 0
+   */
+  maxWait?: number;
+  /**
+   * Attempts with the same key share a limit, e.g. per path or per tenant
+   * header. All attempts share one limit if not set.
+   */
+  key?: (params: ServiceClientRequestOptions) => string;
+  /**
+   * Maximum number of keys that are tracked, the least recently used one is
+   * forgotten when a new one is needed.
+   * @default 1000
+   */
+  maxKeys?: number;
+}
+
+/**
+ * Token bucket that is refilled lazily, so no timers are needed. Tokens may
+ * be reserved in advance, which leaves the bucket with a negative balance.
+ */
+class TokenBucket {
+  private tokens: number;
+  private updatedAt = Date.now();
+
+  constructor(private readonly rate: number, private readonly burst: number) {
+    this.tokens = burst;
+  }
+
+  /**
+   * Takes a token and returns the milliseconds until it is available, or
+   * `undefined` without taking it if that would be longer than `maxWait`.
+   */
+  public reserve(maxWait: number): number | undefined {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.updatedAt) / 1000) * this.rate
+    );
+    this.updatedAt = now;
+    const delay =
+      this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    if (delay > maxWait) {
+      return undefined;
+    }
+    this.tokens--;
+    return delay;
+  }
+
+  /**
+   * Returns a reserved token that was not used.
+   */
+  public refund() {
+    this.tokens = Math.min(this.burst, this.tokens + 1);
+  }
+}
+
+/**
+ * Limits the rate of attempts with one token bucket per key.
+ */
+export class RateLimiter {
+  public readonly rate: number;
+  public readonly burst: number;
+  public readonly maxWait: number;
+
+  private readonly key?: (params: ServiceClientRequestOptions) => string;
+  private readonly buckets: LruCache<string, TokenBucket>;
+  private readonly waiters = new Set<(error: Error) => void>();
+
+  constructor(options: RateLimitOptions) {
+    this.rate = options.rate;
+    this.burst = options.burst || 1;
+    this.maxWait = options.maxWait || 0;
+    this.key = options.key;
+    if (!(this.rate > 0) || this.burst < 1) {
+      throw new TypeError(
+        "The rate limit `rate` must be positive and `burst` must be at least 1"
+      );
+    }
+    this.buckets = new LruCache(options.maxKeys || 1000);
+  }
+
+  /**
+   * Resolves once the attempt may be made. Rejects if it would have to wait
+   * longer than `maxWait` or the signal fired while waiting.
+   */
+  public acquire(
+    params: ServiceClientRequestOptions,
+    signal?: AbortSignalLike,
+    maxWait = this.maxWait
+  ): Promise<void> {
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error("aborted"));
+    }
+    const key = this.key ? this.key(params) : "";
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(this.rate, this.burst);
+      this.buckets.set(key, bucket);
+    }
+    const delay = bucket.reserve(maxWait);
+    if (delay === undefined) {
+      return Promise.reject(
+        new Error(`rate of ${this.rate} per second exceeded`)
+      );
+    }
+    if (delay === 0) {
+      return Promise.resolve();
+    }
+    const reservedBucket = bucket;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => cancel(new Error("aborted"));
+      const cancel = (error: Error) => {
+        clearTimeout(timer);
+        done();
+        reservedBucket.refund();
+        reject(error);
+      };
+      const done = () => {
+        this.waiters.delete(cancel);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+      const timer = setTimeout(() => {
+        done();
+        resolve();
+      }, delay);
+      this.waiters.add(cancel);
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+    });
+  }
+
+  /**
+   * Rejects all waiting attempts.
+   */
+  public clear() {
+    for (const cancel of [...this.waiters]) {
+      cancel(new Error("the waiting attempts were cleared"));
+    }
+  }
+}
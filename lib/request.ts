@@ -8,11 +8,50 @@ import * as querystring from "querystring";
 import * as zlib from "zlib";
 import { ServiceClientError } from "./client";
 import { Socket } from "net";
-import { Readable } from "stream";
+import { Readable, Transform } from "stream";
 
 const DEFAULT_READ_TIMEOUT = 2000;
+
+const noop = () => {
+  /* do nothing */
+};
 const DEFAULT_CONNECTION_TIMEOUT = 1000;
 
+// Available since Node 11.7, but missing from the typings in use
+const createBrotliDecompress: () => Transform = (zlib as any)
+  .createBrotliDecompress;
+
+const DECODERS: { [encoding: string]: () => Transform } = {
+  gzip: () => zlib.createUnzip(),
+  "x-gzip": () => zlib.createUnzip(),
+  deflate: () => zlib.createUnzip(),
+  br: () => createBrotliDecompress()
+};
+
+/**
+ * Returns the decoders for a `content-encoding` header in the order they
+ * need to be applied, or `undefined` if the body should be left as is.
+ */
+const createDecoders = (
+  contentEncoding?: string | string[]
+): Transform[] | undefined => {
+  if (!contentEncoding) {
+    return undefined;
+  }
+  const encodings = String(contentEncoding)
+    .split(",")
+    .map(encoding => encoding.trim().toLowerCase())
+    .filter(encoding => encoding && encoding !== "identity");
+  if (
+    encodings.length === 0 ||
+    encodings.some(encoding => !DECODERS.hasOwnProperty(encoding))
+  ) {
+    return undefined;
+  }
+  // encodings are listed in the order they were applied
+  return encodings.reverse().map(encoding => DECODERS[encoding]());
+};
+
 const getInterval = (time: [number, number]): number => {
   const diff = process.hrtime(time);
   return Math.round(diff[0] * 1000 + diff[1] / 1000000);
@@ -51,12 +90,27 @@ interface Span {
   log(keyValuePairs: { [key: string]: any }, timestamp?: number): this;
 }
 
+/**
+ * Subset of the `AbortSignal` interface that is used by perron. It is
+ * compatible with the global `AbortSignal` available in newer Node versions.
+ */
+export interface AbortSignalLike {
+  readonly aborted: boolean;
+  addEventListener(type: "abort", listener: () => void): void;
+  removeEventListener(type: "abort", listener: () => void): void;
+}
+
 export interface ServiceClientRequestOptions extends RequestOptions {
   pathname: string;
   query?: object;
   timing?: boolean;
   autoDecodeUtf8?: boolean;
   dropRequestAfter?: number;
+  /**
+   * Limits the time of the whole operation including all retries, either
+   * in milliseconds from now or as a `Date`
+   */
+  deadline?: number | Date;
   body?: any;
   headers?: OutgoingHttpHeaders;
   /**
@@ -72,16 +126,44 @@ export interface ServiceClientRequestOptions extends RequestOptions {
    * Opentracing like span interface to log events
    */
   span?: Span;
+  /**
+   * Aborts the request, including all pending retries, once the signal fires
+   */
+  signal?: AbortSignalLike;
+  /**
+   * With `stream` the response is resolved as soon as the headers arrive
+   * and the body is a `Readable` stream. Defaults to `buffer`.
+   */
+  responseType?: "buffer" | "stream";
+  /**
+   * Aborts the request once the response body is larger than this, both
+   * before and after decompression
+   */
+  maxResponseBytes?: number;
+  /**
+   * Sends an `Idempotency-Key` header, which is the same for all attempts,
+   * and allows retries of methods that are not idempotent. With `true` a
+   * random key is generated, unless the request has such a header already.
+   */
+  idempotencyKey?: boolean | string;
 }
 
 export class ServiceClientResponse {
   public timings?: Timings;
   public timingPhases?: TimingPhases;
   public retryErrors: ServiceClientError[];
+  /**
+   * Set for requests that may be hedged, true if the hedged attempt won
+   */
+  public hedged?: boolean;
+  /**
+   * The `Idempotency-Key` header of the request, if it had one
+   */
+  public idempotencyKey?: string;
   constructor(
     public statusCode: number,
     public headers: IncomingHttpHeaders,
-    public body: Buffer | string | object | object[],
+    public body: Buffer | string | object | object[] | Readable,
     public request: ServiceClientRequestOptions
   ) {
     this.retryErrors = [];
@@ -158,6 +240,22 @@ export class UserTimeoutError extends RequestError {
   }
 }
 
+export class AbortedError extends RequestError {
+  constructor(requestOptions: ServiceClientRequestOptions, timings?: Timings) {
+    super("request aborted", requestOptions, timings);
+  }
+}
+
+export class ResponseSizeLimitError extends RequestError {
+  constructor(requestOptions: ServiceClientRequestOptions, timings?: Timings) {
+    super(
+      `response is larger than ${requestOptions.maxResponseBytes} bytes`,
+      requestOptions,
+      timings
+    );
+  }
+}
+
 export class BodyStreamError extends RequestError {
   constructor(
     originalError: Error,
@@ -181,6 +279,38 @@ const makeTimingPhases = (timings: Timings): TimingPhases => {
   };
 };
 
+/**
+ * Looks up a request header regardless of the case of its name.
+ */
+export const getRequestHeader = (
+  headers: OutgoingHttpHeaders | undefined,
+  name: string
+): string | undefined => {
+  if (headers) {
+    const lowerCaseName = name.toLowerCase();
+    for (const key of Object.keys(headers)) {
+      const value = headers[key];
+      if (key.toLowerCase() === lowerCaseName && value !== undefined) {
+        return Array.isArray(value) ? value.join(", ") : String(value);
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Returns the `path` option, or builds it from `pathname` and `query`.
+ */
+export const getRequestPath = (
+  options: ServiceClientRequestOptions
+): string => {
+  if (options.path) {
+    return options.path;
+  }
+  const query = options.query ? querystring.stringify(options.query) : "";
+  return query ? `${options.pathname}?${query}` : options.pathname;
+};
+
 export const request = (
   options: ServiceClientRequestOptions
 ): Promise<ServiceClientResponse> => {
@@ -199,15 +329,7 @@ export const request = (
   }
 
   if ("pathname" in options && !("path" in options)) {
-    if ("query" in options) {
-      let query = querystring.stringify(options.query);
-      if (query) {
-        query = "?" + query;
-      }
-      options.path = `${options.pathname}${query}`;
-    } else {
-      options.path = options.pathname;
-    }
+    options.path = getRequestPath(options);
   }
 
   const connectionTimeout = options.timeout || DEFAULT_CONNECTION_TIMEOUT;
@@ -216,6 +338,12 @@ export const request = (
   const httpRequestFn =
     options.protocol === "https:" ? httpsRequest : httpRequest;
   return new Promise((resolve, reject: (error: RequestError) => void) => {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      reject(new AbortedError(options));
+      return;
+    }
+
     let hasRequestEnded = false;
     let startTime: [number, number];
     let timings: Timings;
@@ -231,17 +359,56 @@ export const request = (
       };
     }
 
+    // only set for streamed responses, which are resolved before the body arrives
+    let responseBody: Readable | undefined;
+    let dropTimer: NodeJS.Timer | undefined;
+
+    const onAbort = () => {
+      if (!hasRequestEnded) {
+        hasRequestEnded = true;
+        requestObject.abort();
+        const err = new AbortedError(options, timings);
+        logEvent(EventSource.HTTP_REQUEST, EventName.ERROR, err.message);
+        fail(err);
+      }
+    };
+
+    const removeAbortListener = () => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    };
+
+    // a pending timer would keep the process alive
+    const clearDropTimer = () => {
+      if (dropTimer) {
+        clearTimeout(dropTimer);
+        dropTimer = undefined;
+      }
+    };
+
+    const fail = (error: RequestError) => {
+      removeAbortListener();
+      clearDropTimer();
+      if (responseBody) {
+        // the promise is already resolved, so the error goes to the stream
+        responseBody.destroy(error);
+        responseBody = undefined;
+      }
+      reject(error);
+    };
+
     const requestObject = httpRequestFn(options);
     requestObject.setTimeout(readTimeout, () => {
       logEvent(EventSource.HTTP_REQUEST, EventName.TIMEOUT);
       requestObject.socket.destroy();
-      reject(new ReadTimeoutError(options));
+      fail(new ReadTimeoutError(options));
     });
 
     requestObject.once("error", err => {
       hasRequestEnded = true;
       logEvent(EventSource.HTTP_REQUEST, EventName.ERROR, err.message);
-      reject(new NetworkError(err, options));
+      fail(new NetworkError(err, options));
     });
 
     // Fires once the socket is assigned to a request
@@ -255,7 +422,7 @@ export const request = (
           logEvent(EventSource.SOCKET, EventName.TIMEOUT);
           // socket should be manually cleaned up
           socket.destroy();
-          reject(new ConnectionTimeoutError(options));
+          fail(new ConnectionTimeoutError(options));
         });
         socket.once("lookup", () => {
           logEvent(EventSource.SOCKET, EventName.DNS);
@@ -293,21 +460,90 @@ export const request = (
       }
 
       const { headers, statusCode } = response;
-      let bodyStream;
+      let bodyStream: Readable;
+      let chunks: Buffer[] = [];
+      let bufferLength = 0;
+
+      const { maxResponseBytes } = options;
+      const exceedsLimit = (length: number) =>
+        maxResponseBytes !== undefined && length > maxResponseBytes;
+
+      const abortTooLarge = () => {
+        if (!hasRequestEnded) {
+          hasRequestEnded = true;
+          requestObject.abort();
+          if (decoders) {
+            // stop inflating whatever is still buffered in the decoders
+            decoders.forEach(decoder => decoder.destroy());
+          }
+          chunks = [];
+          const err = new ResponseSizeLimitError(options, timings);
+          logEvent(EventSource.HTTP_RESPONSE, EventName.ERROR, err.message);
+          fail(err);
+        }
+      };
 
-      const encoding = headers && headers["content-encoding"];
-      if (encoding === "gzip" || encoding === "deflate") {
+      const decoders = createDecoders(headers && headers["content-encoding"]);
+      if (decoders) {
         response.on("error", err => {
           logEvent(EventSource.HTTP_RESPONSE, EventName.ERROR, err.message);
-          reject(new NetworkError(err, options));
+          fail(new NetworkError(err, options));
         });
-        bodyStream = response.pipe(zlib.createUnzip());
+        if (maxResponseBytes !== undefined) {
+          let rawLength = 0;
+          response.on("data", data => {
+            rawLength += data.length;
+            if (exceedsLimit(rawLength)) {
+              abortTooLarge();
+            }
+          });
+        }
+        bodyStream = decoders.reduce((stream: Readable, decoder, index) => {
+          if (index > 0) {
+            // errors of the last decoder are handled with the body stream
+            stream.on("error", err => {
+              logEvent(
+                EventSource.HTTP_RESPONSE_BODY_STREAM,
+                EventName.ERROR,
+                err.message
+              );
+              fail(new NetworkError(err, options));
+            });
+          }
+          return stream.pipe(decoder);
+        }, response);
       } else {
         bodyStream = response;
       }
 
-      let chunks: Buffer[] = [];
-      let bufferLength = 0;
+      const countBytes = (length: number) => {
+        logEvent(
+          EventSource.HTTP_RESPONSE_BODY_STREAM,
+          EventName.BYTES,
+          length
+        );
+        bufferLength += length;
+        if (exceedsLimit(bufferLength)) {
+          abortTooLarge();
+        }
+      };
+
+      const finish = (serviceClientResponse: ServiceClientResponse) => {
+        logEvent(
+          EventSource.HTTP_RESPONSE_BODY_STREAM,
+          EventName.END,
+          bufferLength
+        );
+        hasRequestEnded = true;
+        removeAbortListener();
+        clearDropTimer();
+
+        if (options.timing) {
+          timings.end = getInterval(startTime);
+          serviceClientResponse.timings = timings;
+          serviceClientResponse.timingPhases = makeTimingPhases(timings);
+        }
+      };
 
       bodyStream.on("error", err => {
         logEvent(
@@ -315,27 +551,62 @@ export const request = (
           EventName.ERROR,
           err.message
         );
-        reject(new NetworkError(err, options));
+        fail(new NetworkError(err, options));
       });
 
-      bodyStream.on("data", data => {
-        logEvent(
-          EventSource.HTTP_RESPONSE_BODY_STREAM,
-          EventName.BYTES,
-          data.length
+      const contentLength = headers && headers["content-length"];
+      if (contentLength && exceedsLimit(parseInt(contentLength, 10))) {
+        abortTooLarge();
+        return;
+      }
+
+      if (options.responseType === "stream") {
+        // Reading from the returned stream drives the response, so the bytes
+        // are counted in a pass-through instead of a competing data listener.
+        const streamedBody = bodyStream.pipe(
+          new Transform({
+            transform(chunk: Buffer | string, _encoding, callback) {
+              countBytes(chunk.length);
+              callback(undefined, hasRequestEnded ? undefined : chunk);
+            }
+          })
         );
-        bufferLength += data.length;
-        chunks.push(data as Buffer);
-      });
+        responseBody = streamedBody;
+        // Errors are passed on to the consumer of the stream, this only
+        // prevents a stream that is not consumed yet from crashing the process
+        streamedBody.on("error", noop);
 
-      bodyStream.on("end", () => {
-        logEvent(
-          EventSource.HTTP_RESPONSE_BODY_STREAM,
-          EventName.END,
-          bufferLength
+        const serviceClientResponse = new ServiceClientResponse(
+          statusCode || 0,
+          headers,
+          streamedBody,
+          options
         );
-        hasRequestEnded = true;
+        if (options.timing) {
+          serviceClientResponse.timings = timings;
+          serviceClientResponse.timingPhases = makeTimingPhases(timings);
+        }
 
+        streamedBody.on("end", () => {
+          responseBody = undefined;
+          finish(serviceClientResponse);
+          logEvent(EventSource.HTTP_RESPONSE, EventName.END);
+        });
+        resolve(serviceClientResponse);
+        return;
+      }
+
+      bodyStream.on("data", data => {
+        countBytes(data.length);
+        if (!hasRequestEnded) {
+          chunks.push(data as Buffer);
+        }
+      });
+
+      bodyStream.on("end", () => {
+        if (hasRequestEnded) {
+          return;
+        }
         let body;
         const bufferedBody: Buffer = Buffer.concat(chunks, bufferLength);
         if (options.autoDecodeUtf8) {
@@ -344,38 +615,38 @@ export const request = (
           body = bufferedBody;
         }
 
-        // to avoid leaky behavior
-        chunks = [];
-        bufferLength = 0;
-
         const serviceClientResponse = new ServiceClientResponse(
           statusCode || 0,
           headers,
           body,
           options
         );
+        finish(serviceClientResponse);
+
+        // to avoid leaky behavior
+        chunks = [];
+        bufferLength = 0;
 
-        if (options.timing) {
-          timings.end = getInterval(startTime);
-          serviceClientResponse.timings = timings;
-          serviceClientResponse.timingPhases = makeTimingPhases(timings);
-        }
         resolve(serviceClientResponse);
         logEvent(EventSource.HTTP_RESPONSE, EventName.END);
       });
     });
 
     if (options.dropRequestAfter) {
-      setTimeout(() => {
+      dropTimer = setTimeout(() => {
         if (!hasRequestEnded) {
           requestObject.abort();
           const err = new UserTimeoutError(options, timings);
           logEvent(EventSource.HTTP_REQUEST, EventName.ERROR, err.message);
-          reject(err);
+          fail(err);
         }
       }, options.dropRequestAfter);
     }
 
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+
     logEvent(EventSource.HTTP_REQUEST, EventName.START);
     if (options.body) {
       if (typeof options.body.pipe === "function") {
@@ -383,7 +654,7 @@ export const request = (
         requestBody.pipe(requestObject);
         requestBody.on("error", err => {
           requestObject.abort();
-          reject(new BodyStreamError(err, options, timings));
+          fail(new BodyStreamError(err, options, timings));
         });
         return;
       }
@@ -1,11 +1,55 @@
-export function operation(
-  options: OperationOptions,
+export type BackoffStrategy =
+  | "constant"
+  | "linear"
+  | "exponential"
+  | "fullJitter"
+  | "equalJitter"
+  | "decorrelatedJitter";
+
+/**
+ * Returns the delay in milliseconds before a retry. `attempt` is 1 for the
+ * first retry, `previousDelay` is the delay before the previous retry and
+ * `error` the error of the attempt that failed.
+ */
+export type BackoffFunction<E = Error> = (
+  attempt: number,
+  previousDelay: number | undefined,
+  error: E
+) => number;
+
+export const BACKOFF_STRATEGIES: ReadonlyArray<BackoffStrategy> = [
+  "constant",
+  "linear",
+  "exponential",
+  "fullJitter",
+  "equalJitter",
+  "decorrelatedJitter"
+];
+
+export function operation<E = Error>(
+  options: OperationOptions<E>,
   fn: (currentAttempt: number) => void
 ) {
-  return new RetryOperation(timeouts(options), fn);
+  if (options.backoff === undefined) {
+    const computed = timeouts(options);
+    return new RetryOperation<E>(
+      options.retries,
+      attempt => computed[attempt - 1],
+      fn
+    );
+  }
+  return new RetryOperation<E>(
+    options.retries,
+    typeof options.backoff === "function"
+      ? options.backoff
+      : createBackoff(options.backoff, options),
+    fn
+  );
 }
 
-export function timeouts(options: OperationOptions) {
+export function timeouts(
+  options: Pick<OperationOptions, "retries"> & CreateTimeoutOptions
+) {
   if (options.minTimeout > options.maxTimeout) {
     throw new Error("minTimeout is greater than maxTimeout");
   }
@@ -23,6 +67,84 @@ export function timeouts(options: OperationOptions) {
   return timeouts;
 }
 
+/**
+ * Returns the delay in milliseconds that is requested by the `retry-after`
+ * header, which is either in seconds or an HTTP date. Falls back to the
+ * `ratelimit-reset` and `x-ratelimit-reset` headers, which are in seconds or,
+ * for large values, a unix timestamp.
+ */
+export function parseRetryAfter(
+  headers: { [header: string]: string | string[] | undefined },
+  now = Date.now()
+): number | undefined {
+  const retryAfter = firstHeader(headers["retry-after"]);
+  if (retryAfter !== undefined) {
+    if (/^\d+$/.test(retryAfter)) {
+      return parseInt(retryAfter, 10) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? undefined : Math.max(0, date - now);
+  }
+
+  const reset =
+    firstHeader(headers["ratelimit-reset"]) ||
+    firstHeader(headers["x-ratelimit-reset"]);
+  if (reset !== undefined && /^\d+$/.test(reset)) {
+    const seconds = parseInt(reset, 10);
+    return seconds > UNIX_TIMESTAMP_THRESHOLD
+      ? Math.max(0, seconds * 1000 - now)
+      : seconds * 1000;
+  }
+  return undefined;
+}
+
+// Values above one year in seconds are treated as timestamps
+const UNIX_TIMESTAMP_THRESHOLD = 365 * 24 * 60 * 60;
+
+function firstHeader(value?: string | string[]): string | undefined {
+  const header = Array.isArray(value) ? value[0] : value;
+  return header === undefined ? undefined : header.trim();
+}
+
+/**
+ * The jitter strategies are described in
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ */
+function createBackoff(
+  strategy: BackoffStrategy,
+  options: CreateTimeoutOptions
+): BackoffFunction<unknown> {
+  const { minTimeout, maxTimeout, factor } = options;
+  const exponential = (attempt: number) =>
+    Math.min(maxTimeout, minTimeout * Math.pow(factor, attempt - 1));
+  const random = (min: number, max: number) =>
+    Math.round(min + Math.random() * (max - min));
+
+  switch (strategy) {
+    case "constant":
+      return () => minTimeout;
+    case "linear":
+      return attempt => Math.min(maxTimeout, minTimeout * attempt);
+    case "exponential":
+      return attempt => createTimeout(attempt - 1, options);
+    case "fullJitter":
+      return attempt => random(0, exponential(attempt));
+    case "equalJitter":
+      return attempt => {
+        const delay = exponential(attempt);
+        return random(delay / 2, delay);
+      };
+    case "decorrelatedJitter":
+      return (attempt, previousDelay = minTimeout) =>
+        Math.min(
+          maxTimeout,
+          random(minTimeout, Math.max(minTimeout, previousDelay * 3))
+        );
+    default:
+      throw new TypeError(`Unknown backoff strategy "${strategy}"`);
+  }
+}
+
 function createTimeout(
   attempt: number,
   opts: Required<CreateTimeoutOptions>
@@ -36,12 +158,17 @@ function createTimeout(
 
   return timeout;
 }
-export interface OperationOptions extends CreateTimeoutOptions {
+export interface OperationOptions<E = Error> extends CreateTimeoutOptions {
   /**
    * The maximum amount of times to retry the operation.
    * @default 0
    */
   retries: number;
+  /**
+   * Computes the delay before each retry when it is needed. By default, all
+   * delays are computed upfront with `factor` and `randomize` and sorted.
+   */
+  backoff?: BackoffStrategy | BackoffFunction<E>;
 }
 
 interface CreateTimeoutOptions {
@@ -67,22 +194,43 @@ interface CreateTimeoutOptions {
   randomize: boolean;
 }
 
-class RetryOperation {
-  private readonly _timeouts: number[];
+class RetryOperation<E> {
+  private readonly _retries: number;
+  private readonly _backoff: BackoffFunction<E>;
   private readonly _fn: (currentAttempt: number) => void;
   private _attempts: number;
-  constructor(timeouts: number[], fn: (currentAttempt: number) => void) {
-    this._timeouts = timeouts;
+  private _timer?: NodeJS.Timer;
+  private _stopped: boolean;
+  private _nextTimeout?: number;
+  private _previousTimeout?: number;
+  constructor(
+    retries: number,
+    backoff: BackoffFunction<E>,
+    fn: (currentAttempt: number) => void
+  ) {
+    this._retries = retries;
+    this._backoff = backoff;
     this._fn = fn;
     this._attempts = 1;
+    this._stopped = false;
   }
 
-  retry() {
-    if (this._attempts > this._timeouts.length) {
+  /**
+   * Schedules the next attempt, optionally after the given delay instead of
+   * the computed one. Returns false if there are no retries left.
+   */
+  retry(error?: E, delay?: number) {
+    if (this._stopped || this._attempts > this._retries) {
       return false;
     }
-    const timeout = this._timeouts[this._attempts - 1];
-    setTimeout(() => {
+    const timeout = delay !== undefined ? delay : this.nextTimeout(error);
+    if (timeout === undefined) {
+      return false;
+    }
+    this._nextTimeout = undefined;
+    this._previousTimeout = timeout;
+    this._timer = setTimeout(() => {
+      this._timer = undefined;
       this._attempts++;
       this._fn(this._attempts);
     }, timeout);
@@ -90,6 +238,37 @@ class RetryOperation {
     return true;
   }
 
+  /**
+   * Returns the computed delay before the next retry, or `undefined` if there
+   * are no retries left. The delay is computed once for every retry.
+   */
+  nextTimeout(error?: E): number | undefined {
+    if (this._stopped || this._attempts > this._retries) {
+      return undefined;
+    }
+    if (this._nextTimeout === undefined) {
+      this._nextTimeout = Math.max(
+        0,
+        this._backoff(this._attempts, this._previousTimeout, error as E)
+      );
+    }
+    return this._nextTimeout;
+  }
+
+  /**
+   * Cancels a scheduled retry and prevents any further ones. Returns true if
+   * a retry was scheduled.
+   */
+  stop(): boolean {
+    this._stopped = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = undefined;
+      return true;
+    }
+    return false;
+  }
+
   attempt() {
     this._fn(this._attempts);
   }
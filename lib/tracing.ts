@@ -0,0 +1,163 @@
+import {
+  getRequestPath,
+  OutgoingHttpHeaders,
+  ServiceClientRequestOptions,
+  ServiceClientResponse
+} from "./request";
+
+/**
+ * Same values as the `SpanKind` of OpenTelemetry.
+ */
+export enum SpanKind {
+  INTERNAL = 0,
+  SERVER = 1,
+  CLIENT = 2,
+  PRODUCER = 3,
+  CONSUMER = 4
+}
+
+/**
+ * Same values as the `SpanStatusCode` of OpenTelemetry.
+ */
+export enum SpanStatusCode {
+  UNSET = 0,
+  OK = 1,
+  ERROR = 2
+}
+
+export type AttributeValue = string | number | boolean;
+
+export interface Attributes {
+  [key: string]: AttributeValue;
+}
+
+export interface SpanContext {
+  /**
+   * 32 lowercase hex characters
+   */
+  traceId: string;
+  /**
+   * 16 lowercase hex characters
+   */
+  spanId: string;
+  /**
+   * Bit field, 1 if the trace is sampled
+   */
+  traceFlags: number;
+  traceState?: { serialize(): string };
+}
+
+/**
+ * Subset of the OpenTelemetry `Span` interface that is used by perron.
+ */
+export interface TraceSpan {
+  spanContext(): SpanContext;
+  setAttribute(key: string, value: AttributeValue): unknown;
+  recordException(exception: Error): unknown;
+  setStatus(status: { code: SpanStatusCode; message?: string }): unknown;
+  end(): unknown;
+}
+
+export interface SpanOptions {
+  kind: SpanKind;
+  attributes: Attributes;
+}
+
+/**
+ * Starts spans for perron. The span of a request has no `parent`, so it
+ * usually becomes a child of the active span of the application. The span
+ * of an attempt is a child of the span of its request.
+ */
+export interface Tracer {
+  startSpan(name: string, options: SpanOptions, parent?: TraceSpan): TraceSpan;
+}
+
+const DEFAULT_PORTS: { [protocol: string]: number } = {
+  "http:": 80,
+  "https:": 443
+};
+
+/**
+ * HTTP client attributes of the OpenTelemetry semantic conventions.
+ */
+export const getRequestAttributes = (
+  params: ServiceClientRequestOptions
+): Attributes => {
+  const protocol = params.protocol || "https:";
+  const port = Number(params.port || DEFAULT_PORTS[protocol]);
+  const host =
+    port === DEFAULT_PORTS[protocol]
+      ? params.hostname
+      : `${params.hostname}:${port}`;
+  return {
+    "http.request.method": (params.method || "GET").toUpperCase(),
+    "url.full": `${protocol}//${host}${getRequestPath(params)}`,
+    "server.address": params.hostname || "",
+    "server.port": port
+  };
+};
+
+/**
+ * Formats the `traceparent` header of the W3C Trace Context.
+ */
+export const formatTraceparent = ({
+  traceId,
+  spanId,
+  traceFlags
+}: SpanContext): string => {
+  const flags = (traceFlags & 0xff).toString(16).padStart(2, "0");
+  return `00-${traceId}-${spanId}-${flags}`;
+};
+
+/**
+ * Sets the `traceparent` and `tracestate` headers, so that the service
+ * continues the trace of the span.
+ */
+export const injectTraceContext = (
+  headers: OutgoingHttpHeaders,
+  span: TraceSpan
+): OutgoingHttpHeaders => {
+  const spanContext = span.spanContext();
+  const traceState = spanContext.traceState
+    ? spanContext.traceState.serialize()
+    : "";
+  const injected = { ...headers };
+  for (const name of Object.keys(injected)) {
+    const lowerCaseName = name.toLowerCase();
+    if (lowerCaseName === "traceparent" || lowerCaseName === "tracestate") {
+      delete injected[name];
+    }
+  }
+  injected.traceparent = formatTraceparent(spanContext);
+  if (traceState) {
+    injected.tracestate = traceState;
+  }
+  return injected;
+};
+
+/**
+ * Sets the status code of a response and marks `4xx` and `5xx` responses as
+ * errors, as the semantic conventions do for client spans.
+ */
+export const recordResponse = (
+  span: TraceSpan,
+  response: ServiceClientResponse
+) => {
+  span.setAttribute("http.response.status_code", response.statusCode);
+  if (response.statusCode >= 400) {
+    span.setAttribute("error.type", String(response.statusCode));
+    span.setStatus({ code: SpanStatusCode.ERROR });
+  }
+};
+
+export const recordError = (
+  span: TraceSpan,
+  error: Error & { response?: ServiceClientResponse }
+) => {
+  if (error.response) {
+    span.setAttribute("http.response.status_code", error.response.statusCode);
+  }
+  span.setAttribute("error.type", error.constructor.name);
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+};
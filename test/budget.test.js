@@ -0,0 +1,52 @@
+const { Budget } = require("../dist/budget");
+const assert = require("assert");
+const sinon = require("sinon");
+
+describe("Budget", () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it("should allow withdrawals relative to deposits", () => {
+    const budget = new Budget({ ratio: 0.5 });
+    assert(!budget.tryWithdraw());
+    budget.deposit();
+    budget.deposit();
+    assert(budget.tryWithdraw());
+    assert(!budget.tryWithdraw());
+  });
+
+  it("should allow a minimum of withdrawals per second", () => {
+    const budget = new Budget({ ratio: 0, minPerSecond: 1, ttl: 2000 });
+    assert.equal(budget.balance(), 2);
+    assert(budget.tryWithdraw());
+    assert(budget.tryWithdraw());
+    assert(!budget.tryWithdraw());
+  });
+
+  it("should forget deposits and withdrawals after the ttl", () => {
+    const budget = new Budget({ ratio: 1, ttl: 1000 });
+    budget.deposit();
+    budget.deposit();
+    budget.tryWithdraw();
+    assert.equal(budget.balance(), 1);
+    clock.tick(500);
+    budget.deposit();
+    assert.equal(budget.balance(), 2);
+    clock.tick(500);
+    assert.equal(budget.balance(), 1);
+    clock.tick(500);
+    assert.equal(budget.balance(), 0);
+  });
+
+  it("should throw on invalid options", () => {
+    assert.throws(() => new Budget({ ratio: -1 }), TypeError);
+    assert.throws(() => new Budget({ ratio: 1, ttl: -1 }), TypeError);
+  });
+});
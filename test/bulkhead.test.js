@@ -0,0 +1,132 @@
+const { Bulkhead } = require("../dist/bulkhead");
+const { AbortController } = require("../dist/abort");
+const assert = require("assert");
+const sinon = require("sinon");
+
+describe("Bulkhead", () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it("should reject invalid options", () => {
+    assert.throws(() => new Bulkhead({ maxConcurrent: 0 }), TypeError);
+    assert.throws(
+      () => new Bulkhead({ maxConcurrent: 1, maxQueued: -1 }),
+      TypeError
+    );
+  });
+
+  it("should reject attempts over the limit without a queue", () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 2 });
+    return Promise.all([bulkhead.acquire(), bulkhead.acquire()])
+      .then(() => bulkhead.acquire())
+      .then(assert.fail, err => {
+        assert.equal(err.message, "2 requests in flight");
+        assert.deepStrictEqual(bulkhead.getMetrics(), {
+          inFlight: 2,
+          queued: 0,
+          maxConcurrent: 2,
+          maxQueued: 0
+        });
+      });
+  });
+
+  it("should let queued attempts through in order once slots are released", () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueued: 2 });
+    const order = [];
+    return bulkhead.acquire().then(release => {
+      const first = bulkhead.acquire().then(releaseFirst => {
+        order.push("first");
+        releaseFirst();
+      });
+      const second = bulkhead.acquire().then(releaseSecond => {
+        order.push("second");
+        releaseSecond();
+      });
+      assert.equal(bulkhead.getMetrics().queued, 2);
+      release();
+      // releasing twice must not free another slot
+      release();
+      return Promise.all([first, second]).then(() => {
+        assert.deepStrictEqual(order, ["first", "second"]);
+        assert.equal(bulkhead.getMetrics().inFlight, 0);
+      });
+    });
+  });
+
+  it("should reject attempts if the queue is full", () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueued: 1 });
+    bulkhead.acquire();
+    bulkhead.acquire();
+    return bulkhead.acquire().then(assert.fail, err => {
+      assert.equal(err.message, "1 requests in flight");
+    });
+  });
+
+  it("should reject attempts that wait longer than the queue timeout", () => {
+    const bulkhead = new Bulkhead({
+      maxConcurrent: 1,
+      maxQueued: 1,
+      queueTimeout: 100
+    });
+    bulkhead.acquire();
+    const promise = bulkhead.acquire();
+    clock.tick(100);
+    return promise.then(assert.fail, err => {
+      assert.equal(err.message, "no free slot within 100 ms");
+      assert.equal(bulkhead.getMetrics().queued, 0);
+    });
+  });
+
+  it("should remove aborted attempts from the queue", () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueued: 1 });
+    const controller = new AbortController();
+    bulkhead.acquire();
+    const promise = bulkhead.acquire(controller.signal);
+    controller.abort();
+    return promise.then(assert.fail, err => {
+      assert.equal(err.message, "aborted");
+      assert.equal(bulkhead.getMetrics().queued, 0);
+    });
+  });
+
+  it("should let queued attempts through when the limit grows", () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueued: 2 });
+    return bulkhead.acquire().then(release => {
+      const first = bulkhead.acquire();
+      const second = bulkhead.acquire();
+      bulkhead.setMaxConcurrent(2);
+      return first.then(() => {
+        assert.deepStrictEqual(bulkhead.getMetrics(), {
+          inFlight: 2,
+          queued: 1,
+          maxConcurrent: 2,
+          maxQueued: 2
+        });
+        bulkhead.setMaxConcurrent(1);
+        release();
+        assert.equal(bulkhead.getMetrics().queued, 1);
+        bulkhead.clear();
+        return second.then(assert.fail, () => undefined);
+      });
+    });
+  });
+
+  it("should reject all queued attempts when cleared", () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueued: 2 });
+    bulkhead.acquire();
+    const first = bulkhead.acquire().then(assert.fail, err => err);
+    const second = bulkhead.acquire().then(assert.fail, err => err);
+    bulkhead.clear();
+    return Promise.all([first, second]).then(errors => {
+      assert(errors.every(err => err.message === "the queue was cleared"));
+      assert.equal(bulkhead.getMetrics().queued, 0);
+    });
+  });
+});
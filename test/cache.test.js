@@ -0,0 +1,426 @@
+"use strict";
+
+const assert = require("assert");
+const sinon = require("sinon");
+const proxyquire = require("proxyquire").noCallThru();
+const realRequest = require("../dist/request");
+const { ServiceClientResponse } = realRequest;
+
+describe("cache filter", () => {
+  let clock;
+  let requestStub;
+  let store;
+  let filter;
+  let createCacheFilter;
+  let MemoryCacheStore;
+
+  const requestOptions = (extra = {}) => ({
+    hostname: "catwatch.opensource.zalan.do",
+    pathname: "/projects",
+    query: { limit: 10 },
+    ...extra
+  });
+
+  const respond = (params, statusCode, headers, body = { foo: "bar" }) =>
+    new ServiceClientResponse(statusCode, headers, body, params);
+
+  // runs the filter like the client does without any other filters
+  const run = (params, serverResponse) =>
+    Promise.resolve(filter.request(params)).then(result =>
+      filter.response(
+        result instanceof ServiceClientResponse
+          ? result
+          : serverResponse(result)
+      )
+    );
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    requestStub = sinon.stub();
+    ({ createCacheFilter, MemoryCacheStore } = proxyquire("../dist/cache", {
+      "./request": { ...realRequest, request: requestStub }
+    }));
+    store = new MemoryCacheStore();
+    filter = createCacheFilter({ store });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it("should serve fresh responses from the cache", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "max-age=10" })
+    );
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(9000);
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert(server.calledOnce);
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.body, { foo: "bar" });
+      });
+  });
+
+  it("should give every cache hit its own body", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "max-age=10" }, { items: [1] })
+    );
+    return run(requestOptions(), server)
+      .then(response => {
+        response.body.items.push(2);
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        response.body.items.push(3);
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert(server.calledOnce);
+        assert.deepEqual(response.body, { items: [1] });
+      });
+  });
+
+  it("should not share buffer bodies between cache hits", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "max-age=10" }, Buffer.from("a"))
+    );
+    return run(requestOptions(), server)
+      .then(response => {
+        response.body[0] = 0x62;
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        response.body[0] = 0x63;
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert(server.calledOnce);
+        assert.equal(response.body.toString(), "a");
+      });
+  });
+
+  it("should not cache responses with no-store", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "no-store, max-age=10" })
+    );
+    return run(requestOptions(), server)
+      .then(() => run(requestOptions(), server))
+      .then(() => {
+        assert(server.calledTwice);
+      });
+  });
+
+  it("should not cache private responses", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "private, max-age=10" })
+    );
+    return run(requestOptions(), server)
+      .then(() => run(requestOptions(), server))
+      .then(() => {
+        assert(server.calledTwice);
+      });
+  });
+
+  it("should only cache responses to requests with credentials if they are shared", () => {
+    const authorized = user =>
+      requestOptions({ headers: { authorization: `Bearer ${user}` } });
+    let cacheControl = "max-age=10";
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": cacheControl })
+    );
+    return run(authorized("alice"), server)
+      .then(() => run(authorized("bob"), server))
+      .then(() => {
+        assert(server.calledTwice);
+        cacheControl = "public, max-age=10";
+        return run(authorized("alice"), server);
+      })
+      .then(() => run(authorized("bob"), server))
+      .then(() => {
+        assert(server.calledThrice);
+      });
+  });
+
+  it("should not cache requests with other methods or query strings", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "max-age=10" })
+    );
+    return run(requestOptions(), server)
+      .then(() => run(requestOptions({ method: "POST" }), server))
+      .then(() => run(requestOptions({ query: { limit: 20 } }), server))
+      .then(() => {
+        assert(server.calledThrice);
+      });
+  });
+
+  it("should not cache error responses", () => {
+    const server = sinon.spy(params =>
+      respond(params, 500, { "cache-control": "max-age=10" })
+    );
+    return run(requestOptions(), server)
+      .then(() => run(requestOptions(), server))
+      .then(() => {
+        assert(server.calledTwice);
+      });
+  });
+
+  it("should take the age of the response into account", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "max-age=10", age: "8" })
+    );
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(2000);
+        return run(requestOptions(), server);
+      })
+      .then(() => {
+        assert(server.calledTwice);
+      });
+  });
+
+  it("should only serve responses matching the vary headers", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, {
+        "cache-control": "max-age=10",
+        vary: "Accept-Language"
+      })
+    );
+    const german = requestOptions({ headers: { "Accept-Language": "de" } });
+    const english = requestOptions({ headers: { "accept-language": "en" } });
+    return run(german, server)
+      .then(() => run(requestOptions({ ...german }), server))
+      .then(() => {
+        assert(server.calledOnce);
+        return run(english, server);
+      })
+      .then(() => {
+        assert(server.calledTwice);
+      });
+  });
+
+  it("should revalidate stale responses and turn a 304 into the cached response", () => {
+    let server = params =>
+      respond(params, 200, { "cache-control": "max-age=1", etag: '"v1"' });
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(2000);
+        server = sinon.spy(params =>
+          respond(params, 304, { "cache-control": "max-age=5" }, "")
+        );
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert.equal(server.firstCall.args[0].headers["if-none-match"], '"v1"');
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.body, { foo: "bar" });
+        assert.equal(response.headers["cache-control"], "max-age=5");
+        clock.tick(4000);
+        return run(requestOptions(), server);
+      })
+      .then(() => {
+        assert(server.calledOnce);
+      });
+  });
+
+  it("should revalidate with if-modified-since", () => {
+    const lastModified = "Wed, 21 Oct 2015 07:28:00 GMT";
+    let server = params =>
+      respond(params, 200, { "last-modified": lastModified });
+    return run(requestOptions(), server)
+      .then(() => {
+        server = sinon.spy(params => respond(params, 200, {}, { new: true }));
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert.equal(
+          server.firstCall.args[0].headers["if-modified-since"],
+          lastModified
+        );
+        assert.deepEqual(response.body, { new: true });
+      });
+  });
+
+  it("should pass through requests with their own conditional headers", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, { "cache-control": "max-age=0", etag: '"v1"' })
+    );
+    return run(requestOptions(), server)
+      .then(() =>
+        run(requestOptions({ headers: { "If-None-Match": '"v0"' } }), params =>
+          respond(params, 304, {}, "")
+        )
+      )
+      .then(response => {
+        assert.equal(response.statusCode, 304);
+      });
+  });
+
+  it("should serve stale responses while revalidating them in the background", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, {
+        "cache-control": "max-age=1, stale-while-revalidate=10",
+        etag: '"v1"'
+      })
+    );
+    requestStub.callsFake(params =>
+      Promise.resolve(respond(params, 304, { "cache-control": "max-age=60" }))
+    );
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(2000);
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert(server.calledOnce);
+        assert.deepEqual(response.body, { foo: "bar" });
+        assert(requestStub.calledOnce);
+        assert.equal(
+          requestStub.firstCall.args[0].headers["if-none-match"],
+          '"v1"'
+        );
+        return store.get(
+          "GET https://catwatch.opensource.zalan.do/projects?limit=10"
+        );
+      })
+      .then(entry => {
+        assert.equal(entry.headers["cache-control"], "max-age=60");
+      });
+  });
+
+  it("should revalidate in the background with the given function", () => {
+    const revalidate = sinon.spy(params =>
+      Promise.resolve(respond(params, 304, { "cache-control": "max-age=60" }))
+    );
+    filter = createCacheFilter({ store, revalidate });
+    const server = sinon.spy(params =>
+      respond(params, 200, {
+        "cache-control": "max-age=1, stale-while-revalidate=10",
+        etag: '"v1"'
+      })
+    );
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(2000);
+        return run(requestOptions(), server);
+      })
+      .then(() => {
+        assert(revalidate.calledOnce);
+        assert(requestStub.notCalled);
+        assert.equal(
+          revalidate.firstCall.args[0].headers["if-none-match"],
+          '"v1"'
+        );
+      });
+  });
+
+  it("should drop stale responses that were rejected in the background", () => {
+    filter = createCacheFilter({
+      store,
+      revalidate: params =>
+        Promise.reject(
+          Object.assign(new Error("not found"), {
+            response: respond(params, 404, {})
+          })
+        )
+    });
+    const server = sinon.spy(params =>
+      respond(params, 200, {
+        "cache-control": "max-age=1, stale-while-revalidate=10"
+      })
+    );
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(2000);
+        return run(requestOptions(), server);
+      })
+      .then(() => run(requestOptions(), server))
+      .then(() => {
+        assert(server.calledTwice);
+      });
+  });
+
+  it("should drop stale responses that changed in the background", () => {
+    const server = sinon.spy(params =>
+      respond(params, 200, {
+        "cache-control": "max-age=1, stale-while-revalidate=10"
+      })
+    );
+    requestStub.callsFake(params => Promise.resolve(respond(params, 200, {})));
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(2000);
+        return run(requestOptions(), server);
+      })
+      .then(() => run(requestOptions(), server))
+      .then(() => {
+        assert(server.calledTwice);
+      });
+  });
+
+  it("should serve stale responses on server errors with stale-if-error", () => {
+    let server = params =>
+      respond(params, 200, { "cache-control": "max-age=1, stale-if-error=10" });
+    return run(requestOptions(), server)
+      .then(() => {
+        clock.tick(5000);
+        server = params => respond(params, 503, {}, "");
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert.equal(response.statusCode, 200);
+        clock.tick(10000);
+        return run(requestOptions(), server);
+      })
+      .then(response => {
+        assert.equal(response.statusCode, 503);
+      });
+  });
+
+  it("should ignore errors of the store", () => {
+    filter = createCacheFilter({
+      store: {
+        get: () => Promise.reject(new Error("unavailable")),
+        set: () => Promise.reject(new Error("unavailable")),
+        delete: () => Promise.reject(new Error("unavailable"))
+      }
+    });
+    return run(requestOptions(), params =>
+      respond(params, 200, { "cache-control": "max-age=10" })
+    ).then(response => {
+      assert.equal(response.statusCode, 200);
+    });
+  });
+
+  describe("MemoryCacheStore", () => {
+    it("should expire entries after their ttl", () => {
+      return store
+        .set("foo", { body: "bar" }, 1000)
+        .then(() => {
+          clock.tick(999);
+          return store.get("foo");
+        })
+        .then(entry => {
+          assert.deepEqual(entry, { body: "bar" });
+          clock.tick(1);
+          return store.get("foo");
+        })
+        .then(entry => {
+          assert.strictEqual(entry, undefined);
+        });
+    });
+
+    it("should evict the least recently used entries", () => {
+      store = new MemoryCacheStore({ maxEntries: 2 });
+      return Promise.all([store.set("a", "a"), store.set("b", "b")])
+        .then(() => store.get("a"))
+        .then(() => store.set("c", "c"))
+        .then(() => Promise.all(["a", "b", "c"].map(key => store.get(key))))
+        .then(entries => {
+          assert.deepEqual(entries, ["a", undefined, "c"]);
+        });
+    });
+  });
+});
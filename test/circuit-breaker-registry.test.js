@@ -0,0 +1,98 @@
+const { CircuitBreakerRegistry } = require("../dist/circuit-breaker-registry");
+const { CircuitBreaker } = require("../dist/circuit-breaker");
+const assert = require("assert");
+const sinon = require("sinon");
+
+describe("CircuitBreakerRegistry", function() {
+  let registry;
+
+  const fail = function(breaker) {
+    breaker.run(function(success, failure) {
+      failure();
+    });
+  };
+
+  beforeEach(function() {
+    registry = new CircuitBreakerRegistry({
+      key: params => `${params.method || "GET"} ${params.pathname}`,
+      maxSize: 2,
+      circuitBreaker: { volumeThreshold: 1 }
+    });
+  });
+
+  afterEach(function() {
+    registry.dispose();
+  });
+
+  it("should return the same breaker for the same key", function() {
+    const breaker = registry.get({ pathname: "/foo" });
+    assert(breaker instanceof CircuitBreaker);
+    assert.strictEqual(registry.get({ pathname: "/foo" }), breaker);
+    assert.notStrictEqual(registry.get({ pathname: "/bar" }), breaker);
+    assert.notStrictEqual(
+      registry.get({ method: "POST", pathname: "/foo" }),
+      breaker
+    );
+  });
+
+  it("should create breakers with the given options", function() {
+    assert.strictEqual(registry.get({ pathname: "/foo" }).volumeThreshold, 1);
+  });
+
+  it("should use the defaults of the service client", function() {
+    const breaker = registry.get({ pathname: "/foo" });
+    assert.strictEqual(breaker.timeoutDuration, 2000);
+    assert.strictEqual(breaker.errorThreshold, 50);
+    registry.dispose();
+    registry = new CircuitBreakerRegistry({ key: () => "foo" });
+    assert.strictEqual(registry.get({}).volumeThreshold, 10);
+  });
+
+  it("should dispose the least recently used breaker when it is full", function() {
+    const foo = registry.get({ pathname: "/foo" });
+    const bar = registry.get({ pathname: "/bar" });
+    sinon.spy(foo, "dispose");
+    sinon.spy(bar, "dispose");
+    registry.get({ pathname: "/foo" });
+    registry.get({ pathname: "/baz" });
+
+    sinon.assert.calledOnce(bar.dispose);
+    sinon.assert.notCalled(foo.dispose);
+    assert.deepStrictEqual(registry.list().map(entry => entry.key), [
+      "GET /foo",
+      "GET /baz"
+    ]);
+  });
+
+  it("should list all keys with their states", function() {
+    const foo = registry.get({ pathname: "/foo" });
+    registry.get({ pathname: "/bar" });
+    fail(foo);
+    fail(foo);
+
+    const entries = registry.list();
+    assert.deepStrictEqual(
+      entries.map(entry => [entry.key, entry.metrics.state]),
+      [["GET /foo", "open"], ["GET /bar", "closed"]]
+    );
+    assert.strictEqual(entries[0].metrics.failures, 2);
+  });
+
+  it("should dispose deleted breakers", function() {
+    const foo = registry.get({ pathname: "/foo" });
+    sinon.spy(foo, "dispose");
+    registry.delete("GET /foo");
+
+    sinon.assert.calledOnce(foo.dispose);
+    assert.notStrictEqual(registry.get({ pathname: "/foo" }), foo);
+  });
+
+  it("should dispose all breakers", function() {
+    const foo = registry.get({ pathname: "/foo" });
+    sinon.spy(foo, "dispose");
+    registry.dispose();
+
+    sinon.assert.calledOnce(foo.dispose);
+    assert.deepStrictEqual(registry.list(), []);
+  });
+});
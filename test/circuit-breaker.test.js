@@ -92,6 +92,23 @@ describe("CircuitBreaker", function() {
       assert.strictEqual(bucket.timeouts, 0);
     });
 
+    it("should not record anything if the command is ignored", function() {
+      const command = function(success, fail, ignore) {
+        ignore();
+      };
+
+      breaker.run(command);
+
+      clock.tick(1000);
+      clock.tick(1000);
+      clock.tick(1000);
+
+      const bucket = breaker.lastBucket();
+      assert.strictEqual(bucket.successes, 0);
+      assert.strictEqual(bucket.failures, 0);
+      assert.strictEqual(bucket.timeouts, 0);
+    });
+
     it("should not record a success when there is a timeout", function() {
       const command = function(success) {
         clock.tick(1000);
@@ -246,6 +263,203 @@ describe("CircuitBreaker", function() {
     });
   });
 
+  describe("sleepWindow", function() {
+    const open = function() {
+      fail();
+      fail();
+      fail();
+      fail();
+      fail();
+      fail();
+      assert.strictEqual(breaker.isOpen(), true);
+    };
+
+    it("should stay open for the sleep window from the time it opened", function() {
+      clock.tick(9500);
+      open();
+
+      clock.tick(9999);
+      assert.strictEqual(breaker.isOpen(), true);
+
+      clock.tick(1);
+      assert.strictEqual(breaker.isOpen(), false);
+    });
+
+    it("should use the configured sleep window", function() {
+      breaker = new CircuitBreaker({ sleepWindow: 5000 });
+      open();
+
+      clock.tick(4999);
+      const command = sinon.spy();
+      breaker.run(command);
+      sinon.assert.notCalled(command);
+
+      clock.tick(1);
+      breaker.run(command);
+      sinon.assert.called(command);
+    });
+
+    it("should start a new sleep window if the probe fails", function() {
+      breaker = new CircuitBreaker({ sleepWindow: 5000 });
+      open();
+
+      clock.tick(5000);
+      fail();
+      assert.strictEqual(breaker.isOpen(), true);
+
+      clock.tick(4999);
+      assert.strictEqual(breaker.isOpen(), true);
+
+      clock.tick(1);
+      assert.strictEqual(breaker.isOpen(), false);
+    });
+
+    it("should not reopen after closing with the failures of the old window", function() {
+      breaker = new CircuitBreaker({ sleepWindow: 5000 });
+      open();
+
+      clock.tick(5000);
+      success();
+      assert.strictEqual(breaker.getMetrics().state, "closed");
+
+      success();
+      assert.strictEqual(breaker.getMetrics().state, "closed");
+    });
+
+    it("should not leave a forced open state", function() {
+      breaker.forceOpen();
+
+      clock.tick(20000);
+      assert.strictEqual(breaker.isOpen(), true);
+    });
+  });
+
+  describe("half-open", function() {
+    let pending;
+
+    const open = function() {
+      fail();
+      fail();
+      fail();
+      fail();
+      fail();
+      fail();
+      clock.tick(10000);
+    };
+
+    const probe = function() {
+      const fallback = sinon.spy();
+      const command = sinon.spy(function(success, failure, ignore) {
+        pending.push({ success, failure, ignore });
+      });
+      breaker.run(command, fallback);
+      return command.called;
+    };
+
+    beforeEach(function() {
+      pending = [];
+    });
+
+    it("should only let one call through by default", function() {
+      open();
+
+      assert.strictEqual(probe(), true);
+      assert.strictEqual(probe(), false);
+      assert.strictEqual(breaker.lastBucket().shortCircuits, 1);
+
+      pending[0].success();
+      assert.strictEqual(probe(), true);
+      assert.strictEqual(probe(), true);
+    });
+
+    it("should close once enough probes succeeded", function() {
+      breaker = new CircuitBreaker({
+        permittedCallsInHalfOpen: 3,
+        successThresholdInHalfOpen: 2
+      });
+      open();
+
+      assert.strictEqual(probe(), true);
+      assert.strictEqual(probe(), true);
+      assert.strictEqual(probe(), true);
+      assert.strictEqual(probe(), false);
+
+      pending[0].success();
+      assert.strictEqual(probe(), false);
+
+      pending[1].success();
+      assert.strictEqual(probe(), true);
+    });
+
+    it("should open again once too many probes failed", function() {
+      breaker = new CircuitBreaker({
+        permittedCallsInHalfOpen: 4,
+        successThresholdInHalfOpen: 2
+      });
+      open();
+
+      probe();
+      probe();
+      probe();
+      pending[0].failure();
+      pending[1].failure();
+      assert.strictEqual(breaker.isOpen(), false);
+
+      pending[2].failure();
+      assert.strictEqual(breaker.isOpen(), true);
+
+      clock.tick(9999);
+      assert.strictEqual(breaker.isOpen(), true);
+      clock.tick(1);
+      assert.strictEqual(breaker.isOpen(), false);
+    });
+
+    it("should count probes that time out as failures", function() {
+      open();
+
+      probe();
+      clock.tick(3000);
+
+      assert.strictEqual(breaker.isOpen(), true);
+    });
+
+    it("should let another call through if a probe is ignored", function() {
+      open();
+
+      probe();
+      pending[0].ignore();
+
+      assert.strictEqual(breaker.isOpen(), false);
+      assert.strictEqual(probe(), true);
+    });
+
+    it("should ignore probes of an earlier half-open period", function() {
+      breaker = new CircuitBreaker({ permittedCallsInHalfOpen: 3 });
+      open();
+
+      probe();
+      probe();
+      probe();
+      pending[0].failure();
+      pending[1].failure();
+      assert.strictEqual(breaker.isOpen(), true);
+
+      pending[2].success();
+      assert.strictEqual(breaker.isOpen(), true);
+    });
+
+    it("should throw if the success threshold can not be reached", function() {
+      assert.throws(
+        () =>
+          new CircuitBreaker({
+            permittedCallsInHalfOpen: 1,
+            successThresholdInHalfOpen: 2
+          }),
+        TypeError
+      );
+    });
+  });
+
   describe("logging", function() {
     let openSpy;
     let closeSpy;
@@ -280,6 +494,235 @@ describe("CircuitBreaker", function() {
     });
   });
 
+  describe("slow calls", function() {
+    const slowSuccess = function(duration) {
+      breaker.run(function(success) {
+        clock.tick(duration);
+        success();
+      });
+    };
+
+    beforeEach(function() {
+      breaker = new CircuitBreaker({
+        volumeThreshold: 3,
+        slowCallDurationThreshold: 500,
+        slowCallRateThreshold: 50
+      });
+    });
+
+    it("should count calls that take longer than the threshold", function() {
+      slowSuccess(499);
+      slowSuccess(500);
+      breaker.run(function(success, failure) {
+        clock.tick(600);
+        failure();
+      });
+
+      const metrics = breaker.getMetrics();
+      assert.strictEqual(metrics.slowCalls, 2);
+      assert.strictEqual(metrics.successes, 2);
+    });
+
+    it("should open the circuit if the slow call rate is reached", function() {
+      const listener = sinon.spy();
+      breaker.on("stateChange", listener);
+      success();
+      success();
+      slowSuccess(500);
+      assert.strictEqual(breaker.isOpen(), false);
+
+      slowSuccess(500);
+      assert.strictEqual(breaker.isOpen(), true);
+      assert.strictEqual(listener.firstCall.args[0].reason, "slowCallRate");
+    });
+
+    it("should not count slow calls without a duration threshold", function() {
+      breaker = new CircuitBreaker({ volumeThreshold: 1 });
+      slowSuccess(2000);
+      slowSuccess(2000);
+
+      assert.strictEqual(breaker.getMetrics().slowCalls, 0);
+      assert.strictEqual(breaker.isOpen(), false);
+    });
+
+    it("should count slow probes as failed", function() {
+      fail();
+      fail();
+      fail();
+      fail();
+      clock.tick(10000);
+
+      slowSuccess(500);
+      assert.strictEqual(breaker.isOpen(), true);
+    });
+  });
+
+  describe("cancelOnTimeout", function() {
+    it("should cancel commands that time out", function() {
+      breaker = new CircuitBreaker({ cancelOnTimeout: true });
+      const cancel = sinon.spy();
+      breaker.run(function() {
+        return cancel;
+      });
+
+      clock.tick(2999);
+      sinon.assert.notCalled(cancel);
+      clock.tick(1);
+      sinon.assert.calledOnce(cancel);
+      assert.strictEqual(breaker.lastBucket().timeouts, 1);
+    });
+
+    it("should not cancel commands by default", function() {
+      const cancel = sinon.spy();
+      breaker.run(function() {
+        return cancel;
+      });
+
+      clock.tick(3000);
+      sinon.assert.notCalled(cancel);
+    });
+
+    it("should not cancel commands that finished in time", function() {
+      breaker = new CircuitBreaker({ cancelOnTimeout: true });
+      const cancel = sinon.spy();
+      breaker.run(function(success) {
+        success();
+        return cancel;
+      });
+
+      clock.tick(3000);
+      sinon.assert.notCalled(cancel);
+    });
+  });
+
+  describe("getMetrics", function() {
+    it("should return the counts of the current window and the state", function() {
+      breaker.volumeThreshold = 3;
+      success();
+      timeout();
+      fail();
+      fail();
+      breaker.run(sinon.spy());
+
+      assert.deepStrictEqual(breaker.getMetrics(), {
+        totalCount: 4,
+        errorCount: 3,
+        errorPercentage: 75,
+        state: "open",
+        forced: false,
+        successes: 1,
+        failures: 2,
+        timeouts: 1,
+        shortCircuits: 1,
+        slowCalls: 0,
+        slowCallPercentage: 0
+      });
+    });
+
+    it("should report forced states", function() {
+      breaker.forceOpen();
+
+      const metrics = breaker.getMetrics();
+      assert.strictEqual(metrics.state, "open");
+      assert.strictEqual(metrics.forced, true);
+    });
+
+    it("should report the half-open state", function() {
+      breaker.volumeThreshold = 1;
+      fail();
+      fail();
+      clock.tick(10000);
+
+      assert.strictEqual(breaker.getMetrics().state, "half-open");
+    });
+  });
+
+  describe("stateChange event", function() {
+    let listener;
+
+    const transitions = function() {
+      return listener.args.map(function(args) {
+        return [args[0].previousState, args[0].state, args[0].reason];
+      });
+    };
+
+    beforeEach(function() {
+      listener = sinon.spy();
+      breaker.volumeThreshold = 1;
+      breaker.on("stateChange", listener);
+    });
+
+    it("should be emitted for every automatic transition", function() {
+      fail();
+      fail();
+      clock.tick(10000);
+      fail();
+      clock.tick(10000);
+      success();
+
+      assert.deepStrictEqual(transitions(), [
+        ["closed", "open", "errorThreshold"],
+        ["open", "half-open", "sleepWindow"],
+        ["half-open", "open", "probeFailed"],
+        ["open", "half-open", "sleepWindow"],
+        ["half-open", "closed", "probeSucceeded"]
+      ]);
+    });
+
+    it("should be emitted when the sleep window passed without requests", function() {
+      fail();
+      fail();
+      clock.tick(10000);
+
+      assert.strictEqual(listener.lastCall.args[0].state, "half-open");
+    });
+
+    it("should be emitted when forcing the state", function() {
+      breaker.forceOpen();
+      breaker.unforce();
+      breaker.forceClose();
+
+      assert.deepStrictEqual(transitions(), [
+        ["closed", "open", "forced"],
+        ["open", "closed", "unforced"],
+        ["closed", "closed", "forced"]
+      ]);
+      assert.strictEqual(listener.firstCall.args[0].metrics.forced, true);
+    });
+
+    it("should include the metrics", function() {
+      fail();
+      fail();
+
+      assert.strictEqual(listener.firstCall.args[0].metrics.failures, 2);
+    });
+  });
+
+  describe("onCircuitOpen", function() {
+    it("should be called when a probe fails", function() {
+      const onCircuitOpen = sinon.spy();
+      breaker = new CircuitBreaker({ volumeThreshold: 1, onCircuitOpen });
+      fail();
+      fail();
+      clock.tick(10000);
+      fail();
+
+      sinon.assert.calledTwice(onCircuitOpen);
+    });
+  });
+
+  describe("dispose", function() {
+    it("should stop the timers", function() {
+      breaker.volumeThreshold = 1;
+      fail();
+      fail();
+      assert.notStrictEqual(clock.countTimers(), 0);
+
+      breaker.dispose();
+      assert.strictEqual(clock.countTimers(), 0);
+    });
+  });
+
   describe("forceClose", function() {
     it("should bypass threshold checks", function() {
       fail();
@@ -2,6 +2,12 @@
 
 const nock = require("nock");
 const util = require("util");
+const EventEmitter = require("events");
+const https = require("https");
+const { PassThrough } = require("stream");
+
+// keep a reference that is not replaced by fake timers
+const realSetImmediate = setImmediate;
 const assert = require("assert");
 const proxyquire = require("proxyquire").noCallThru();
 const sinon = require("sinon");
@@ -12,6 +18,24 @@ const fail = result =>
     `expected promise to be rejected, got resolved with ${util.inspect(result)}`
   );
 
+// AbortController is not available in all supported Node versions
+const createAbortController = () => {
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.off(type, listener)
+  };
+  return {
+    signal,
+    emitter,
+    abort() {
+      signal.aborted = true;
+      emitter.emit("abort");
+    }
+  };
+};
+
 describe("ServiceClient with stub request", () => {
   /**
    * @type ServiceClientOptions
@@ -29,6 +53,10 @@ describe("ServiceClient with stub request", () => {
   });
   const {
     ServiceClient,
+    CircuitBreakerRegistry,
+    MetricsRegistry,
+    SpanKind,
+    SpanStatusCode,
     BodyParseError,
     CircuitOpenError,
     RequestFilterError,
@@ -36,6 +64,13 @@ describe("ServiceClient with stub request", () => {
     RequestNetworkError,
     RequestConnectionTimeoutError,
     RequestUserTimeoutError,
+    RequestAbortedError,
+    ResponseTooLargeError,
+    DeadlineExceededError,
+    CircuitBreakerTimeoutError,
+    BulkheadRejectedError,
+    RateLimitedError,
+    ClientClosedError,
     MaximumRetriesReachedError,
     ShouldRetryRejectedError,
     InternalError
@@ -45,7 +80,10 @@ describe("ServiceClient with stub request", () => {
   const {
     NetworkError,
     ConnectionTimeoutError,
-    UserTimeoutError
+    UserTimeoutError,
+    AbortedError,
+    ReadTimeoutError,
+    ResponseSizeLimitError
   } = fakeRequest;
   const timings = {
     socket: 1,
@@ -89,6 +127,26 @@ describe("ServiceClient with stub request", () => {
     });
   });
 
+  it("should ask for compressed responses if compression is enabled", () => {
+    clientOptions.compression = true;
+    const client = new ServiceClient(clientOptions);
+    return client
+      .request()
+      .then(() =>
+        client.request({ headers: { "accept-encoding": "identity" } })
+      )
+      .then(() => {
+        assert.equal(
+          requestStub.firstCall.args[0].headers["accept-encoding"],
+          "br, gzip, deflate"
+        );
+        assert.equal(
+          requestStub.secondCall.args[0].headers["accept-encoding"],
+          "identity"
+        );
+      });
+  });
+
   it("should not add authorization header if there is no token provider", () => {
     const client = new ServiceClient(clientOptions);
     return client.request().then(() => {
@@ -220,6 +278,28 @@ describe("ServiceClient with stub request", () => {
     });
   });
 
+  it("should give a custom error when the response is too large", () => {
+    const client = new ServiceClient(clientOptions);
+    requestStub.rejects(new ResponseSizeLimitError({ maxResponseBytes: 1 }));
+    return client.request().then(fail, err => {
+      assert(err instanceof ServiceClient.Error);
+      assert(err instanceof ResponseTooLargeError);
+      assert.equal(err.requestOptions.maxResponseBytes, 1);
+    });
+  });
+
+  it("should pass maxResponseBytes of the client to the request", () => {
+    clientOptions.maxResponseBytes = 1024;
+    const client = new ServiceClient(clientOptions);
+    return client
+      .request()
+      .then(() => client.request({ maxResponseBytes: 10 }))
+      .then(() => {
+        assert.equal(requestStub.firstCall.args[0].maxResponseBytes, 1024);
+        assert.equal(requestStub.secondCall.args[0].maxResponseBytes, 10);
+      });
+  });
+
   it("should give a custom error when there is an internal error", () => {
     const client = new ServiceClient(clientOptions);
     requestStub.rejects(new TypeError("foobar"));
@@ -459,6 +539,12 @@ describe("ServiceClient with stub request", () => {
   });
 
   describe("request params", () => {
+    // every request gets a signal that is aborted when the client is closed
+    const sentParams = call => {
+      const { signal, ...params } = call.args[0];
+      assert(signal && !signal.aborted);
+      return params;
+    };
     const expectedDefaultRequestOptions = {
       hostname: "catwatch.opensource.zalan.do",
       protocol: "https:",
@@ -474,7 +560,7 @@ describe("ServiceClient with stub request", () => {
       const client = new ServiceClient(clientOptions);
       return client.request().then(() => {
         assert.deepStrictEqual(
-          requestStub.firstCall.args[0],
+          sentParams(requestStub.firstCall),
           expectedDefaultRequestOptions
         );
       });
@@ -483,7 +569,7 @@ describe("ServiceClient with stub request", () => {
       const client = new ServiceClient(clientOptions);
       return client.request({ foo: "bar" }).then(() => {
         assert.deepStrictEqual(
-          requestStub.firstCall.args[0],
+          sentParams(requestStub.firstCall),
           Object.assign({ foo: "bar" }, expectedDefaultRequestOptions)
         );
       });
@@ -492,7 +578,7 @@ describe("ServiceClient with stub request", () => {
       const client = new ServiceClient(clientOptions);
       return client.request({ pathname: "/foo" }).then(() => {
         assert.deepStrictEqual(
-          requestStub.firstCall.args[0],
+          sentParams(requestStub.firstCall),
           Object.assign({}, expectedDefaultRequestOptions, { pathname: "/foo" })
         );
       });
@@ -506,7 +592,7 @@ describe("ServiceClient with stub request", () => {
         })
         .then(() => {
           assert.deepStrictEqual(
-            requestStub.firstCall.args[0],
+            sentParams(requestStub.firstCall),
             Object.assign({}, expectedDefaultRequestOptions, {
               pathname: "/foo",
               query: { param: 1 }
@@ -527,7 +613,7 @@ describe("ServiceClient with stub request", () => {
       );
       return client.request().then(() => {
         assert.deepStrictEqual(
-          requestStub.firstCall.args[0],
+          sentParams(requestStub.firstCall),
           Object.assign(
             {},
             expectedDefaultRequestOptions,
@@ -545,7 +631,7 @@ describe("ServiceClient with stub request", () => {
       );
       return client.request().then(() => {
         assert.deepStrictEqual(
-          requestStub.firstCall.args[0],
+          sentParams(requestStub.firstCall),
           Object.assign({}, expectedDefaultRequestOptions)
         );
       });
@@ -554,7 +640,7 @@ describe("ServiceClient with stub request", () => {
       const client = new ServiceClient("http://localhost:9999/foo?param=42");
       return client.request().then(() => {
         assert.deepEqual(
-          requestStub.firstCall.args[0],
+          sentParams(requestStub.firstCall),
           Object.assign({}, expectedDefaultRequestOptions, {
             port: 9999,
             hostname: "localhost",
@@ -713,59 +799,1831 @@ describe("ServiceClient with stub request", () => {
     });
   });
 
-  it("should prepend the ServiceClient name to errors", () => {
-    clientOptions.name = "TestClient";
-    const client = new ServiceClient(clientOptions);
-    const requestError = new NetworkError(new Error("foobar"));
-    requestStub.returns(Promise.reject(requestError));
-    return client.request().then(fail, err => {
-      assert.equal(err.message, "TestClient: HTTP Request failed. foobar");
+  describe("stream responses", () => {
+    const streamResponse = statusCode => ({
+      statusCode,
+      headers: {},
+      body: new PassThrough()
+    });
+
+    it("should destroy the body of rejected responses before retrying", () => {
+      clientOptions.retryOptions = { retries: 1, minTimeout: 0, maxTimeout: 0 };
+      const client = new ServiceClient(clientOptions);
+      const rejected = streamResponse(503);
+      const resolved = streamResponse(200);
+      requestStub.onFirstCall().resolves(rejected);
+      requestStub.onSecondCall().resolves(resolved);
+      return client.request({ responseType: "stream" }).then(response => {
+        assert.strictEqual(response.body, resolved.body);
+        assert(rejected.body.destroyed);
+        assert(!resolved.body.destroyed);
+      });
+    });
+
+    it("should destroy the body of a rejected response", () => {
+      const client = new ServiceClient(clientOptions);
+      const rejected = streamResponse(500);
+      requestStub.resolves(rejected);
+      return client.request({ responseType: "stream" }).then(fail, err => {
+        assert(err instanceof ResponseFilterError);
+        assert(rejected.body.destroyed);
+      });
+    });
+
+    const testAbortAfterResolved = () => {
+      const controller = createAbortController();
+      const client = new ServiceClient(clientOptions);
+      requestStub.resolves(streamResponse(200));
+      return client
+        .request({ responseType: "stream", signal: controller.signal })
+        .then(response => {
+          const { signal } = requestStub.firstCall.args[0];
+          assert(!signal.aborted);
+          controller.abort();
+          assert(signal.aborted);
+          assert(response.body);
+        });
+    };
+
+    it("should abort the body when the signal fires after the response resolved", () =>
+      testAbortAfterResolved());
+
+    it("should abort the body when the signal fires with cancelOnTimeout", () => {
+      clientOptions.circuitBreaker = { cancelOnTimeout: true };
+      return testAbortAfterResolved();
+    });
+
+    it("should stop following the signal once the body ended", () => {
+      const controller = createAbortController();
+      const client = new ServiceClient(clientOptions);
+      requestStub.resolves(streamResponse(200));
+      return client
+        .request({ responseType: "stream", signal: controller.signal })
+        .then(response => {
+          assert(controller.emitter.listenerCount("abort") > 0);
+          response.body.resume();
+          response.body.end();
+          return new Promise(resolve => response.body.on("end", resolve));
+        })
+        .then(() => {
+          assert.equal(controller.emitter.listenerCount("abort"), 0);
+        });
     });
   });
 
-  it("should default to hostname in errors if no name is specified", () => {
-    const client = new ServiceClient(clientOptions);
-    const requestError = new NetworkError(new Error("foobar"));
-    requestStub.returns(Promise.reject(requestError));
-    return client.request().then(fail, err => {
-      assert.equal(
-        err.message,
-        "catwatch.opensource.zalan.do: HTTP Request failed. foobar"
-      );
+  describe("abort signal", () => {
+    it("should pass a signal that follows the given one to the request", () => {
+      const controller = createAbortController();
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      const promise = client.request({ signal: controller.signal });
+      return new Promise(resolve => realSetImmediate(resolve))
+        .then(() => {
+          const { signal } = requestStub.firstCall.args[0];
+          assert(!signal.aborted);
+          controller.abort();
+          assert(signal.aborted);
+          return promise;
+        })
+        .then(fail, err => {
+          assert(err instanceof RequestAbortedError);
+          assert.equal(controller.emitter.listenerCount("abort"), 0);
+        });
+    });
+
+    it("should not send the request if the signal has already fired", () => {
+      const controller = createAbortController();
+      controller.abort();
+      const client = new ServiceClient(clientOptions);
+      return client.request({ signal: controller.signal }).then(fail, err => {
+        assert(err instanceof RequestAbortedError);
+        assert(requestStub.notCalled);
+      });
+    });
+
+    it("should cancel pending retries when the signal fires", () => {
+      const controller = createAbortController();
+      clientOptions.retryOptions = {
+        retries: 3,
+        onRetry: () => controller.abort()
+      };
+      const client = new ServiceClient(clientOptions);
+      requestStub.resolves({ statusCode: 501, headers: {}, body: "{}" });
+      return client.request({ signal: controller.signal }).then(fail, err => {
+        assert(err instanceof RequestAbortedError);
+        assert.equal(err.retryErrors.length, 1);
+        assert(requestStub.calledOnce);
+        assert.equal(controller.emitter.listenerCount("abort"), 0);
+      });
+    });
+
+    it("should skip the remaining request filters when the signal fires", () => {
+      const controller = createAbortController();
+      const secondFilter = { request: sinon.spy(request => request) };
+      clientOptions.filters = [
+        {
+          request(request) {
+            controller.abort();
+            return request;
+          }
+        },
+        secondFilter
+      ];
+      const client = new ServiceClient(clientOptions);
+      return client.request({ signal: controller.signal }).then(fail, err => {
+        assert(err instanceof RequestAbortedError);
+        assert(secondFilter.request.notCalled);
+        assert(requestStub.notCalled);
+      });
+    });
+
+    it("should not count an aborted request as a circuit breaker failure", () => {
+      const callbacks = {
+        success: sinon.spy(),
+        failure: sinon.spy(),
+        ignore: sinon.spy()
+      };
+      const breaker = {
+        run: command =>
+          command(callbacks.success, callbacks.failure, callbacks.ignore)
+      };
+      clientOptions.circuitBreaker = () => breaker;
+      clientOptions.retryOptions = { retries: 3 };
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(new AbortedError({}));
+      return client.request().then(fail, err => {
+        assert(err instanceof RequestAbortedError);
+        assert(requestStub.calledOnce);
+        assert(callbacks.ignore.calledOnce);
+        assert(callbacks.failure.notCalled);
+        assert(callbacks.success.notCalled);
+      });
     });
   });
 
-  it("accepts and uses circuit breaker factory", () => {
-    const noop = () => null;
-    const breaker = {
-      run: sinon.spy(command => command(noop, noop))
+  describe("retry-after", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    const retryAfterResponse = retryAfter => ({
+      statusCode: 429,
+      headers: { "retry-after": retryAfter },
+      body: "{}"
+    });
+
+    const testRetryDelay = (retryOptions, retryAfter, expectedDelay) => {
+      let retried;
+      const retryScheduled = new Promise(resolve => (retried = resolve));
+      clientOptions.filters = [ServiceClient.treat4xxAsError];
+      clientOptions.retryOptions = {
+        retries: 1,
+        minTimeout: 10,
+        maxTimeout: 10,
+        onRetry: () => retried(),
+        ...retryOptions
+      };
+      const client = new ServiceClient(clientOptions);
+      requestStub.onFirstCall().resolves(retryAfterResponse(retryAfter));
+      const promise = client.request();
+      return retryScheduled
+        .then(() => {
+          clock.tick(expectedDelay - 1);
+          assert(requestStub.calledOnce);
+          clock.tick(1);
+          return promise;
+        })
+        .then(() => {
+          assert(requestStub.calledTwice);
+        });
     };
 
-    const client = new ServiceClient(
-      Object.assign({}, clientOptions, {
-        circuitBreaker: () => breaker
-      })
-    );
+    it("should ignore the retry-after header by default", () =>
+      testRetryDelay({}, "2", 10));
 
-    assert(client.getCircuitBreaker({}) === breaker);
-  });
+    it("should wait for the delay from the retry-after header", () =>
+      testRetryDelay({ maxRetryAfter: 5000 }, "2", 2000));
 
-  it("uses circuit breaker factory while making requests", () => {
-    const noop = () => null;
-    const breaker = {
-      run: sinon.spy(command => command(noop, noop))
+    it("should cap the delay from the retry-after header", () =>
+      testRetryDelay({ maxRetryAfter: 5000 }, "3600", 5000));
+
+    const testRetryLimit = retries => {
+      clientOptions.filters = [ServiceClient.treat4xxAsError];
+      clientOptions.retryOptions = {
+        retries,
+        maxRetryAfter: 50,
+        // lets the scheduled retry fire
+        onRetry: () => realSetImmediate(() => clock.tick(0))
+      };
+      const client = new ServiceClient(clientOptions);
+      requestStub.resolves(retryAfterResponse("0"));
+      return client.request().then(fail, () => {
+        assert.equal(requestStub.callCount, retries + 1);
+      });
     };
-    const breakerFactory = sinon.spy(() => breaker);
 
-    const client = new ServiceClient(
-      Object.assign({}, clientOptions, {
-        circuitBreaker: breakerFactory
-      })
-    );
+    it("should not retry more often than configured with retry-after", () =>
+      testRetryLimit(2));
 
-    return client.request().then(() => {
-      assert(breaker.run.calledOnce);
-      assert(breakerFactory.calledWithMatch(clientOptions));
+    it("should not retry with retry-after if retries are disabled", () =>
+      testRetryLimit(0));
+  });
+
+  describe("backoff", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should wait for the delay of a custom backoff function", () => {
+      let retried;
+      const retryScheduled = new Promise(resolve => (retried = resolve));
+      const backoff = sinon.spy((attempt, previousDelay, error) =>
+        error instanceof RequestConnectionTimeoutError ? 1000 : 10
+      );
+      clientOptions.retryOptions = {
+        retries: 1,
+        backoff,
+        onRetry: () => retried()
+      };
+      const client = new ServiceClient(clientOptions);
+      requestStub
+        .onFirstCall()
+        .rejects(new ConnectionTimeoutError("timeout", {}));
+      const promise = client.request();
+      return retryScheduled
+        .then(() => {
+          sinon.assert.calledWith(backoff, 1, undefined);
+          clock.tick(999);
+          assert(requestStub.calledOnce);
+          clock.tick(1);
+          return promise;
+        })
+        .then(() => {
+          assert(requestStub.calledTwice);
+        });
+    });
+
+    it("should reject unknown strategies", () => {
+      clientOptions.retryOptions = { backoff: "random" };
+      assert.throws(() => new ServiceClient(clientOptions), TypeError);
+    });
+  });
+
+  describe("idempotency", () => {
+    beforeEach(() => {
+      clientOptions.retryOptions = { retries: 2, minTimeout: 0, maxTimeout: 0 };
+    });
+
+    const networkError = () => new NetworkError(new Error("foo"), {});
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+    it("should not retry methods that are not idempotent", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(networkError());
+      return client.request({ method: "POST" }).then(fail, err => {
+        assert(err instanceof RequestNetworkError);
+        assert(requestStub.calledOnce);
+        assert.strictEqual(err.idempotencyKey, undefined);
+      });
+    });
+
+    it("should retry idempotent methods", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(networkError());
+      return client.request({ method: "put" }).then(fail, err => {
+        assert(err instanceof MaximumRetriesReachedError);
+        assert(requestStub.calledThrice);
+      });
+    });
+
+    it("should retry the configured methods", () => {
+      clientOptions.retryOptions.methods = ["post"];
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(networkError());
+      return client
+        .request({ method: "POST" })
+        .then(fail, err => {
+          assert(err instanceof MaximumRetriesReachedError);
+          requestStub.resetHistory();
+          return client.request();
+        })
+        .then(fail, err => {
+          assert(err instanceof RequestNetworkError);
+          assert(requestStub.calledOnce);
+        });
+    });
+
+    it("should send the same generated key with every attempt", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.onFirstCall().rejects(networkError());
+      return client
+        .request({ method: "POST", idempotencyKey: true })
+        .then(response => {
+          assert(requestStub.calledTwice);
+          const key = requestStub.firstCall.args[0].headers["idempotency-key"];
+          assert(UUID_REGEX.test(key));
+          assert.equal(
+            requestStub.secondCall.args[0].headers["idempotency-key"],
+            key
+          );
+          assert.equal(response.idempotencyKey, key);
+          return client.request({ method: "POST", idempotencyKey: true });
+        })
+        .then(response => {
+          assert.notEqual(
+            response.idempotencyKey,
+            requestStub.firstCall.args[0].headers["idempotency-key"]
+          );
+        });
+    });
+
+    it("should expose the key on errors", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(networkError());
+      return client
+        .request({ method: "POST", idempotencyKey: "order-123" })
+        .then(fail, err => {
+          assert(err instanceof MaximumRetriesReachedError);
+          assert.equal(err.idempotencyKey, "order-123");
+          assert.equal(
+            requestStub.thirdCall.args[0].headers["idempotency-key"],
+            "order-123"
+          );
+        });
+    });
+
+    it("should reuse an Idempotency-Key header of the request", () => {
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request({
+          method: "POST",
+          idempotencyKey: true,
+          headers: { "Idempotency-Key": "order-123" }
+        })
+        .then(response => {
+          assert.equal(response.idempotencyKey, "order-123");
+          assert.deepStrictEqual(
+            Object.keys(requestStub.firstCall.args[0].headers),
+            ["accept", "Idempotency-Key"]
+          );
+        });
+    });
+  });
+
+  describe("retry budget", () => {
+    beforeEach(() => {
+      clientOptions.retryOptions = {
+        retries: 2,
+        minTimeout: 0,
+        maxTimeout: 0,
+        budget: { ratio: 0.5, minPerSecond: 0 }
+      };
+    });
+
+    const networkError = () => new NetworkError(new Error("foo"), {});
+
+    it("should fail with the original error once the budget is used up", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(networkError());
+      return client.request().then(fail, err => {
+        assert(err instanceof RequestNetworkError);
+        assert.strictEqual(err.retryBudgetExhausted, true);
+        assert(requestStub.calledOnce);
+      });
+    });
+
+    it("should allow retries for a ratio of successful first attempts", () => {
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request()
+        .then(() => client.request())
+        .then(() => {
+          requestStub.reset();
+          requestStub.rejects(networkError());
+          return client.request();
+        })
+        .then(fail, err => {
+          assert(err.retryBudgetExhausted);
+          assert(requestStub.calledTwice);
+          assert.equal(err.retryErrors.length, 2);
+        });
+    });
+
+    it("should not deposit retries that succeeded", () => {
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request()
+        .then(() => client.request())
+        .then(() => {
+          requestStub.reset();
+          requestStub.onFirstCall().rejects(networkError());
+          requestStub.resolves({ statusCode: 200, headers: {}, body: "{}" });
+          return client.request();
+        })
+        .then(() => {
+          requestStub.reset();
+          requestStub.rejects(networkError());
+          return client.request();
+        })
+        .then(fail, err => {
+          assert(err.retryBudgetExhausted);
+          assert(requestStub.calledOnce);
+        });
+    });
+
+    it("should allow a minimum of retries per second", () => {
+      clientOptions.retryOptions.budget = { ratio: 0, minPerSecond: 0.1 };
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(networkError());
+      return client.request().then(fail, err => {
+        assert(err.retryBudgetExhausted);
+        assert(requestStub.calledTwice);
+      });
+    });
+
+    it("should not mark errors that used all retries", () => {
+      clientOptions.retryOptions.budget = { minPerSecond: 10 };
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(networkError());
+      return client.request().then(fail, err => {
+        assert(err instanceof MaximumRetriesReachedError);
+        assert.strictEqual(err.retryBudgetExhausted, undefined);
+        assert(requestStub.calledThrice);
+      });
+    });
+  });
+
+  describe("deadline", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should limit dropRequestAfter of an attempt to the remaining time", () => {
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request({ deadline: 1000, dropRequestAfter: 5000 })
+        .then(() => client.request({ deadline: 1000, dropRequestAfter: 500 }))
+        .then(() => {
+          assert.equal(requestStub.firstCall.args[0].dropRequestAfter, 1000);
+          assert.equal(requestStub.secondCall.args[0].dropRequestAfter, 500);
+        });
+    });
+
+    it("should reject once the deadline is exceeded", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      const promise = client.request({ deadline: 1000 });
+      clock.tick(1000);
+      return promise.then(fail, err => {
+        assert(err instanceof DeadlineExceededError);
+      });
+    });
+
+    it("should not retry if the backoff exceeds the deadline", () => {
+      clientOptions.retryOptions = {
+        retries: 3,
+        minTimeout: 500,
+        maxTimeout: 500,
+        randomize: false
+      };
+      const client = new ServiceClient(clientOptions);
+      requestStub.resolves({ statusCode: 501, headers: {}, body: "{}" });
+      return client.request({ deadline: 300 }).then(fail, err => {
+        assert(err instanceof DeadlineExceededError);
+        assert(requestStub.calledOnce);
+        assert.equal(err.retryErrors.length, 1);
+        assert(err.retryErrors[0] instanceof ResponseFilterError);
+      });
+    });
+
+    it("should not send a request after an absolute deadline", () => {
+      const client = new ServiceClient(clientOptions);
+      clock.tick(1000);
+      return client.request({ deadline: new Date(500) }).then(fail, err => {
+        assert(err instanceof DeadlineExceededError);
+        assert(requestStub.notCalled);
+      });
+    });
+  });
+
+  describe("hedging", () => {
+    let clock;
+    // the filter chain takes a few ticks before the request is sent
+    const flush = () => new Promise(resolve => realSetImmediate(resolve));
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      clientOptions.hedging = { delay: 100, budget: 1 };
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should resolve with the hedged attempt if it succeeds first", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.onFirstCall().returns(new Promise(() => undefined));
+      const promise = client.request();
+      clock.tick(100);
+      return promise.then(response => {
+        assert(requestStub.calledTwice);
+        assert.strictEqual(response.hedged, true);
+        assert(requestStub.firstCall.args[0].signal.aborted);
+        assert(!requestStub.secondCall.args[0].signal.aborted);
+      });
+    });
+
+    it("should not hedge requests that finish in time", () => {
+      const client = new ServiceClient(clientOptions);
+      return client.request().then(response => {
+        clock.tick(100);
+        assert(requestStub.calledOnce);
+        assert.strictEqual(response.hedged, false);
+      });
+    });
+
+    it("should wait for the hedged attempt if the first one fails", () => {
+      const client = new ServiceClient(clientOptions);
+      let failFirstAttempt;
+      requestStub.onFirstCall().returns(
+        new Promise((resolve, reject) => {
+          failFirstAttempt = () => reject(new NetworkError(new Error("foo")));
+        })
+      );
+      let resolveHedgedAttempt;
+      requestStub
+        .onSecondCall()
+        .returns(new Promise(resolve => (resolveHedgedAttempt = resolve)));
+      const promise = client.request();
+      clock.tick(100);
+      return flush()
+        .then(() => {
+          failFirstAttempt();
+          return flush();
+        })
+        .then(() => {
+          assert(!requestStub.secondCall.args[0].signal.aborted);
+          resolveHedgedAttempt({ statusCode: 200, headers: {}, body: "{}" });
+          return promise;
+        })
+        .then(response => {
+          assert.strictEqual(response.hedged, true);
+          assert.equal(response.retryErrors.length, 1);
+          assert(response.retryErrors[0] instanceof RequestNetworkError);
+        });
+    });
+
+    it("should reject with the last error if all attempts fail", () => {
+      const client = new ServiceClient(clientOptions);
+      let failFirstAttempt;
+      requestStub.onFirstCall().returns(
+        new Promise((resolve, reject) => {
+          failFirstAttempt = () => reject(new NetworkError(new Error("foo")));
+        })
+      );
+      requestStub.onSecondCall().rejects(new ConnectionTimeoutError("timeout"));
+      const promise = client.request();
+      clock.tick(100);
+      return flush()
+        .then(() => {
+          failFirstAttempt();
+          return promise;
+        })
+        .then(fail, err => {
+          assert(err instanceof RequestNetworkError);
+          assert.equal(err.retryErrors.length, 2);
+          assert(err.retryErrors[0] instanceof RequestConnectionTimeoutError);
+        });
+    });
+
+    it("should not hedge requests with unsafe methods", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      client.request({ method: "POST" });
+      clock.tick(100);
+      return flush().then(() => {
+        assert(requestStub.calledOnce);
+      });
+    });
+
+    it("should not hedge requests if the budget is exhausted", () => {
+      clientOptions.hedging.budget = 0;
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      client.request();
+      clock.tick(100);
+      return flush().then(() => {
+        assert(requestStub.calledOnce);
+      });
+    });
+
+    it("should use the observed latency percentile as delay", () => {
+      clientOptions.hedging = { delay: 100, percentile: 50, budget: 1 };
+      const client = new ServiceClient(clientOptions);
+      let requests = Promise.resolve();
+      for (let i = 0; i < 20; i++) {
+        requests = requests.then(() => client.request());
+      }
+      return requests
+        .then(() => {
+          requestStub.resetHistory();
+          requestStub.onFirstCall().returns(new Promise(() => undefined));
+          const promise = client.request();
+          // all previous requests finished instantly
+          clock.tick(0);
+          return promise;
+        })
+        .then(response => {
+          assert(requestStub.calledTwice);
+          assert.strictEqual(response.hedged, true);
+        });
+    });
+
+    it("should measure the latency of the first attempt if a hedge wins", () => {
+      clientOptions.hedging = { delay: 100, percentile: 50, budget: 1 };
+      const client = new ServiceClient(clientOptions);
+      // every first attempt hangs and every hedge succeeds right away
+      let calls = 0;
+      requestStub.callsFake(() =>
+        calls++ % 2 === 0 ? new Promise(() => undefined) : emptySuccessResponse
+      );
+      const hedgedRequest = () => {
+        const promise = client.request();
+        return flush().then(() => {
+          clock.tick(100);
+          return promise;
+        });
+      };
+      let requests = Promise.resolve();
+      for (let i = 0; i < 20; i++) {
+        requests = requests.then(hedgedRequest);
+      }
+      return requests
+        .then(() => {
+          const promise = client.request();
+          return flush()
+            .then(() => {
+              clock.tick(99);
+              return flush();
+            })
+            .then(() => {
+              assert.equal(calls, 41);
+              clock.tick(1);
+              return promise;
+            });
+        })
+        .then(response => {
+          assert.strictEqual(response.hedged, true);
+        });
+    });
+
+    it("should send hedged attempts through the circuit breaker", () => {
+      const breaker = {
+        run: sinon.spy(command => command(sinon.spy(), sinon.spy()))
+      };
+      clientOptions.circuitBreaker = () => breaker;
+      const client = new ServiceClient(clientOptions);
+      requestStub.onFirstCall().returns(new Promise(() => undefined));
+      const promise = client.request();
+      clock.tick(100);
+      return promise.then(() => {
+        assert(breaker.run.calledTwice);
+      });
+    });
+  });
+
+  describe("coalescing", () => {
+    beforeEach(() => {
+      clientOptions.coalescing = true;
+    });
+
+    it("should share one request between concurrent identical requests", () => {
+      requestStub.returns(
+        Promise.resolve({ statusCode: 200, headers: {}, body: "{}" })
+      );
+      const client = new ServiceClient(clientOptions);
+      return Promise.all([client.request(), client.request()]).then(
+        ([first, second]) => {
+          assert(requestStub.calledOnce);
+          assert.notStrictEqual(first, second);
+          assert.notStrictEqual(first.body, second.body);
+          assert.deepEqual(first.body, second.body);
+        }
+      );
+    });
+
+    it("should not share requests unless enabled", () => {
+      delete clientOptions.coalescing;
+      const client = new ServiceClient(clientOptions);
+      return Promise.all([client.request(), client.request()]).then(() => {
+        assert(requestStub.calledTwice);
+      });
+    });
+
+    it("should retry every waiter on its own", () => {
+      clientOptions.retryOptions = { retries: 1, minTimeout: 0, maxTimeout: 0 };
+      requestStub
+        .onFirstCall()
+        .returns(Promise.reject(new NetworkError(new Error("foo"))));
+      const client = new ServiceClient(clientOptions);
+      return Promise.all([client.request(), client.request()]).then(
+        ([first, second]) => {
+          // the first retry finishes before the second one starts
+          assert(requestStub.calledThrice);
+          assert(first.retryErrors[0] instanceof RequestNetworkError);
+          assert(second.retryErrors[0] instanceof RequestNetworkError);
+        }
+      );
+    });
+
+    it("should let every waiter time out on its own", () => {
+      requestStub.returns(new Promise(() => undefined));
+      const client = new ServiceClient(clientOptions);
+      const clock = sinon.useFakeTimers();
+      const first = client.request({ dropRequestAfter: 100 });
+      client.request();
+      // wait for the filter chain to reach the shared request
+      return new Promise(resolve => realSetImmediate(resolve))
+        .then(() => {
+          clock.tick(100);
+          clock.restore();
+          return first;
+        })
+        .then(fail, err => {
+          assert(err instanceof RequestUserTimeoutError);
+          assert(requestStub.calledOnce);
+          assert(!requestStub.firstCall.args[0].signal.aborted);
+        });
+    });
+  });
+
+  describe("circuit breaker with cancelOnTimeout", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      clientOptions.circuitBreaker = {
+        timeoutDuration: 100,
+        cancelOnTimeout: true
+      };
+      requestStub.callsFake(
+        options =>
+          new Promise((resolve, reject) => {
+            options.signal.addEventListener("abort", () =>
+              reject(new AbortedError(options))
+            );
+          })
+      );
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should cancel attempts that time out", () => {
+      const client = new ServiceClient(clientOptions);
+      const promise = client.request();
+      return new Promise(resolve => realSetImmediate(resolve))
+        .then(() => {
+          clock.tick(100);
+          return promise;
+        })
+        .then(fail, err => {
+          assert(err instanceof CircuitBreakerTimeoutError);
+          assert(requestStub.firstCall.args[0].signal.aborted);
+        });
+    });
+
+    it("should still let the user abort the attempt", () => {
+      const controller = createAbortController();
+      const client = new ServiceClient(clientOptions);
+      const promise = client.request({ signal: controller.signal });
+      return new Promise(resolve => realSetImmediate(resolve))
+        .then(() => {
+          controller.abort();
+          return promise;
+        })
+        .then(fail, err => {
+          assert(err instanceof RequestAbortedError);
+        });
+    });
+  });
+
+  it("should use the breakers of a registry", () => {
+    const registry = new CircuitBreakerRegistry({
+      key: params => params.pathname
+    });
+    clientOptions.circuitBreaker = registry;
+    const client = new ServiceClient(clientOptions);
+    return client
+      .request({ pathname: "/foo" })
+      .then(() => {
+        assert.deepStrictEqual(
+          registry.list().map(entry => [entry.key, entry.metrics.successes]),
+          [["/foo", 1]]
+        );
+      })
+      .finally(() => registry.dispose());
+  });
+
+  describe("isCircuitBreakerFailure", () => {
+    let success;
+    let failure;
+    let ignore;
+
+    beforeEach(() => {
+      success = sinon.spy();
+      failure = sinon.spy();
+      ignore = sinon.spy();
+      const breaker = {
+        run: command => command(success, failure, ignore)
+      };
+      clientOptions.circuitBreaker = () => breaker;
+    });
+
+    it("should count network errors", () => {
+      requestStub.returns(Promise.reject(new NetworkError(new Error("foo"))));
+      const client = new ServiceClient(clientOptions);
+      return client.request().then(fail, () => {
+        sinon.assert.calledOnce(failure);
+        sinon.assert.notCalled(ignore);
+      });
+    });
+
+    it("should count 5xx responses", () => {
+      requestStub.returns(
+        Promise.resolve({ statusCode: 503, headers: {}, body: "" })
+      );
+      const client = new ServiceClient(clientOptions);
+      return client.request().then(fail, () => {
+        sinon.assert.calledOnce(failure);
+      });
+    });
+
+    it("should not count 4xx responses", () => {
+      clientOptions.filters = [ServiceClient.treat4xxAsError];
+      requestStub.returns(
+        Promise.resolve({ statusCode: 404, headers: {}, body: "" })
+      );
+      const client = new ServiceClient(clientOptions);
+      return client.request().then(fail, err => {
+        assert(err instanceof ResponseFilterError);
+        sinon.assert.notCalled(failure);
+        sinon.assert.calledOnce(ignore);
+      });
+    });
+
+    it("should not count failing request filters", () => {
+      clientOptions.filters = [
+        {
+          request() {
+            throw new Error("invalid request");
+          }
+        }
+      ];
+      const client = new ServiceClient(clientOptions);
+      return client.request().then(fail, err => {
+        assert(err instanceof RequestFilterError);
+        sinon.assert.notCalled(failure);
+        sinon.assert.calledOnce(ignore);
+      });
+    });
+
+    it("should not count user timeouts", () => {
+      requestStub.returns(Promise.reject(new UserTimeoutError({})));
+      const client = new ServiceClient(clientOptions);
+      return client.request().then(fail, err => {
+        assert(err instanceof RequestUserTimeoutError);
+        sinon.assert.notCalled(failure);
+        sinon.assert.calledOnce(ignore);
+      });
+    });
+
+    it("should use the provided classification", () => {
+      clientOptions.isCircuitBreakerFailure = sinon.stub().returns(false);
+      requestStub.returns(Promise.reject(new NetworkError(new Error("foo"))));
+      const client = new ServiceClient(clientOptions);
+      return client.request({ pathname: "/foo" }).then(fail, err => {
+        sinon.assert.calledWith(
+          clientOptions.isCircuitBreakerFailure,
+          err,
+          sinon.match({ pathname: "/foo" })
+        );
+        sinon.assert.notCalled(failure);
+        sinon.assert.calledOnce(ignore);
+      });
+    });
+  });
+
+  it("should prepend the ServiceClient name to errors", () => {
+    clientOptions.name = "TestClient";
+    const client = new ServiceClient(clientOptions);
+    const requestError = new NetworkError(new Error("foobar"));
+    requestStub.returns(Promise.reject(requestError));
+    return client.request().then(fail, err => {
+      assert.equal(err.message, "TestClient: HTTP Request failed. foobar");
+    });
+  });
+
+  it("should default to hostname in errors if no name is specified", () => {
+    const client = new ServiceClient(clientOptions);
+    const requestError = new NetworkError(new Error("foobar"));
+    requestStub.returns(Promise.reject(requestError));
+    return client.request().then(fail, err => {
+      assert.equal(
+        err.message,
+        "catwatch.opensource.zalan.do: HTTP Request failed. foobar"
+      );
+    });
+  });
+
+  it("accepts and uses circuit breaker factory", () => {
+    const noop = () => null;
+    const breaker = {
+      run: sinon.spy(command => command(noop, noop))
+    };
+
+    const client = new ServiceClient(
+      Object.assign({}, clientOptions, {
+        circuitBreaker: () => breaker
+      })
+    );
+
+    assert(client.getCircuitBreaker({}) === breaker);
+  });
+
+  it("uses circuit breaker factory while making requests", () => {
+    const noop = () => null;
+    const breaker = {
+      run: sinon.spy(command => command(noop, noop))
+    };
+    const breakerFactory = sinon.spy(() => breaker);
+
+    const client = new ServiceClient(
+      Object.assign({}, clientOptions, {
+        circuitBreaker: breakerFactory
+      })
+    );
+
+    return client.request().then(() => {
+      assert(breaker.run.calledOnce);
+      assert(breakerFactory.calledWithMatch(clientOptions));
+    });
+  });
+
+  describe("bulkhead", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    const flush = () => new Promise(resolve => realSetImmediate(resolve));
+
+    it("should reject attempts over maxConcurrent without counting them", () => {
+      clientOptions.maxConcurrent = 1;
+      clientOptions.circuitBreaker = { volumeThreshold: 1 };
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      client.request();
+      return client.request().then(fail, err => {
+        assert(err instanceof BulkheadRejectedError);
+        assert(requestStub.calledOnce);
+        const metrics = client.getCircuitBreaker({}).getMetrics();
+        assert.equal(metrics.failures, 0);
+        assert.deepStrictEqual(client.getBulkheadMetrics(), {
+          inFlight: 1,
+          queued: 0,
+          maxConcurrent: 1,
+          maxQueued: 0
+        });
+      });
+    });
+
+    it("should queue attempts until a slot is free", () => {
+      clientOptions.maxConcurrent = 1;
+      clientOptions.maxQueued = 1;
+      const client = new ServiceClient(clientOptions);
+      let respond;
+      requestStub
+        .onFirstCall()
+        .returns(new Promise(resolve => (respond = resolve)));
+      const first = client.request();
+      const second = client.request();
+      return flush()
+        .then(() => {
+          assert(requestStub.calledOnce);
+          assert.equal(client.getBulkheadMetrics().queued, 1);
+          respond({ statusCode: 200, headers: {}, body: "{}" });
+          return Promise.all([first, second]);
+        })
+        .then(() => {
+          assert(requestStub.calledTwice);
+          assert.equal(client.getBulkheadMetrics().inFlight, 0);
+        });
+    });
+
+    it("should reject attempts after the queueTimeout", () => {
+      clientOptions.maxConcurrent = 1;
+      clientOptions.maxQueued = 1;
+      clientOptions.queueTimeout = 100;
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      client.request();
+      const promise = client.request();
+      clock.tick(100);
+      return promise.then(fail, err => {
+        assert(err instanceof BulkheadRejectedError);
+        assert(requestStub.calledOnce);
+      });
+    });
+
+    it("should reject aborted attempts from the queue", () => {
+      clientOptions.maxConcurrent = 1;
+      clientOptions.maxQueued = 1;
+      const client = new ServiceClient(clientOptions);
+      const controller = createAbortController();
+      requestStub.returns(new Promise(() => undefined));
+      client.request();
+      const promise = client.request({ signal: controller.signal });
+      controller.abort();
+      return promise.then(fail, err => {
+        assert(err instanceof RequestAbortedError);
+        return flush().then(() => {
+          assert.equal(client.getBulkheadMetrics().queued, 0);
+        });
+      });
+    });
+
+    it("should not send queued attempts after the client closed", () => {
+      clientOptions.maxConcurrent = 1;
+      clientOptions.maxQueued = 1;
+      const client = new ServiceClient(clientOptions);
+      let respond;
+      requestStub
+        .onFirstCall()
+        .returns(new Promise(resolve => (respond = resolve)));
+      const first = client.request().catch(err => err);
+      const second = client.request().catch(err => err);
+      return flush()
+        .then(() => {
+          const closing = client.close({ drainTimeout: 100 });
+          clock.tick(100);
+          return Promise.all([first, second, closing]);
+        })
+        .then(([a, b]) => {
+          assert(a instanceof ClientClosedError);
+          assert(b instanceof ClientClosedError);
+          assert(requestStub.firstCall.args[0].signal.aborted);
+          respond({ statusCode: 200, headers: {}, body: "{}" });
+          return flush().then(() => {
+            assert(requestStub.calledOnce);
+          });
+        });
+    });
+
+    it("should be disabled by default", () => {
+      const client = new ServiceClient(clientOptions);
+      assert.strictEqual(client.getBulkheadMetrics(), undefined);
+    });
+
+    it("should adjust the limit in the adaptive mode", () => {
+      clientOptions.adaptiveConcurrency = { initialLimit: 2, minLimit: 1 };
+      clientOptions.filters = [];
+      const client = new ServiceClient(clientOptions);
+      assert.equal(client.getBulkheadMetrics().maxConcurrent, 2);
+      requestStub.returns(
+        Promise.resolve({
+          statusCode: 200,
+          headers: {},
+          body: "{}",
+          timingPhases: { total: 10 }
+        })
+      );
+      return client
+        .request()
+        .then(() => {
+          assert.equal(client.getBulkheadMetrics().maxConcurrent, 3);
+          requestStub.rejects(new NetworkError(new Error("foo"), {}));
+          return client.request();
+        })
+        .then(fail, err => {
+          assert(err instanceof RequestNetworkError);
+          assert.equal(client.getBulkheadMetrics().maxConcurrent, 2);
+        });
+    });
+
+    it("should shed attempts over the adaptive limit", () => {
+      clientOptions.adaptiveConcurrency = { initialLimit: 1 };
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      client.request();
+      return client.request().then(fail, err => {
+        assert(err instanceof BulkheadRejectedError);
+      });
+    });
+
+    it("should not combine maxConcurrent with the adaptive mode", () => {
+      clientOptions.adaptiveConcurrency = true;
+      clientOptions.maxConcurrent = 10;
+      assert.throws(() => new ServiceClient(clientOptions), TypeError);
+    });
+  });
+
+  describe("rate limit", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should reject attempts over the rate limit", () => {
+      clientOptions.rateLimit = { rate: 1 };
+      clientOptions.circuitBreaker = { volumeThreshold: 1 };
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request()
+        .then(() => client.request())
+        .then(fail, err => {
+          assert(err instanceof RateLimitedError);
+          assert(requestStub.calledOnce);
+          const metrics = client.getCircuitBreaker({}).getMetrics();
+          assert.equal(metrics.failures, 0);
+        });
+    });
+
+    it("should limit retries as well", () => {
+      clientOptions.rateLimit = { rate: 10, maxWait: 1000 };
+      clientOptions.retryOptions = {
+        retries: 1,
+        minTimeout: 0,
+        maxTimeout: 0
+      };
+      let retried;
+      const retryScheduled = new Promise(resolve => (retried = resolve));
+      clientOptions.retryOptions.onRetry = () => retried();
+      const client = new ServiceClient(clientOptions);
+      requestStub.onFirstCall().rejects(new NetworkError(new Error("foo"), {}));
+      const promise = client.request();
+      return retryScheduled
+        .then(() => {
+          clock.tick(0);
+          return new Promise(resolve => realSetImmediate(resolve));
+        })
+        .then(() => {
+          assert(requestStub.calledOnce);
+          clock.tick(100);
+          return promise;
+        })
+        .then(() => {
+          assert(requestStub.calledTwice);
+        });
+    });
+
+    it("should not wait longer than the deadline", () => {
+      clientOptions.rateLimit = { rate: 1, maxWait: 5000 };
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request()
+        .then(() => client.request({ deadline: 500 }))
+        .then(fail, err => {
+          assert(err instanceof RateLimitedError);
+        });
+    });
+  });
+
+  describe("metrics", () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new MetricsRegistry();
+      clientOptions.metrics = registry;
+      clientOptions.name = "catwatch";
+    });
+
+    it("should count requests by method, status class and error", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.onSecondCall().resolves({
+        statusCode: 503,
+        headers: {},
+        body: "{}"
+      });
+      requestStub
+        .onThirdCall()
+        .rejects(new ConnectionTimeoutError("timeout", {}));
+      return client
+        .request()
+        .then(() => client.request({ method: "post" }))
+        .then(fail, () => client.request())
+        .then(fail, () => {
+          const metrics = registry.metrics();
+          assert(
+            metrics.includes(
+              'perron_requests_total{client="catwatch",method="GET",status_class="2xx",error=""} 1\n'
+            )
+          );
+          assert(
+            metrics.includes(
+              'perron_requests_total{client="catwatch",method="POST",status_class="5xx",error="ResponseFilterError"} 1\n'
+            )
+          );
+          assert(
+            metrics.includes(
+              'perron_requests_total{client="catwatch",method="GET",status_class="",error="RequestConnectionTimeoutError"} 1\n'
+            )
+          );
+        });
+    });
+
+    it("should record the timing phases", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.resolves({
+        statusCode: 200,
+        headers: {},
+        body: "{}",
+        timingPhases: { total: 120, dns: 5, firstByte: 100 }
+      });
+      return client.request().then(() => {
+        const metrics = registry.metrics();
+        assert(
+          metrics.includes(
+            'perron_request_duration_seconds_sum{client="catwatch",phase="total"} 0.12\n'
+          )
+        );
+        assert(
+          metrics.includes(
+            'perron_request_duration_seconds_count{client="catwatch",phase="dns"} 1\n'
+          )
+        );
+        assert(!metrics.includes('phase="tls"'));
+      });
+    });
+
+    it("should count retries", () => {
+      clientOptions.retryOptions = { retries: 2, minTimeout: 0, maxTimeout: 0 };
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(new NetworkError(new Error("foo"), {}));
+      return client.request().then(fail, () => {
+        const metrics = registry.metrics();
+        assert(
+          metrics.includes(
+            'perron_retries_total{client="catwatch",method="GET"} 2\n'
+          )
+        );
+        assert(
+          metrics.includes(
+            'perron_requests_total{client="catwatch",method="GET",status_class="",error="RequestNetworkError"} 1\n'
+          )
+        );
+      });
+    });
+
+    it("should count the error of the last attempt if retrying was rejected", () => {
+      clientOptions.retryOptions = {
+        retries: 2,
+        minTimeout: 0,
+        maxTimeout: 0,
+        shouldRetry: () => false
+      };
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(new ReadTimeoutError({}));
+      return client.request().then(fail, err => {
+        assert(err instanceof ShouldRetryRejectedError);
+        assert(
+          registry
+            .metrics()
+            .includes(
+              'perron_requests_total{client="catwatch",method="GET",status_class="",error="RequestReadTimeoutError"} 1\n'
+            )
+        );
+      });
+    });
+
+    it("should report the state of the circuit breaker until it is closed", () => {
+      clientOptions.circuitBreaker = {};
+      const client = new ServiceClient(clientOptions);
+      client.getCircuitBreaker({}).forceOpen();
+      const metrics = registry.metrics();
+      assert(
+        metrics.includes(
+          'perron_circuit_breaker_state{client="catwatch",key="",state="open"} 1\n'
+        )
+      );
+      assert(
+        metrics.includes(
+          'perron_circuit_breaker_state{client="catwatch",key="",state="closed"} 0\n'
+        )
+      );
+      return client.close().then(() => {
+        assert(!registry.metrics().includes("perron_circuit_breaker_state{"));
+      });
+    });
+
+    it("should report the states of a circuit breaker registry", () => {
+      const breakers = new CircuitBreakerRegistry({
+        key: params => params.pathname
+      });
+      clientOptions.circuitBreaker = breakers;
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request({ pathname: "/foo" })
+        .then(() => {
+          assert(
+            registry
+              .metrics()
+              .includes(
+                'perron_circuit_breaker_state{client="catwatch",key="/foo",state="closed"} 1\n'
+              )
+          );
+        })
+        .finally(() => breakers.dispose());
+    });
+  });
+
+  describe("tracing", () => {
+    let spans;
+
+    // records the spans in memory instead of exporting them
+    const createTracer = () => {
+      let nextId = 1;
+      spans = [];
+      return {
+        startSpan(name, options, parent) {
+          const span = {
+            name,
+            kind: options.kind,
+            attributes: { ...options.attributes },
+            parent,
+            exceptions: [],
+            status: { code: 0 },
+            ended: false,
+            spanContext: () => ({
+              traceId: parent
+                ? parent.spanContext().traceId
+                : "4bf92f3577b34da6a3ce929d0e0e4736",
+              spanId: String(span.id).padStart(16, "0"),
+              traceFlags: 1
+            }),
+            setAttribute(key, value) {
+              span.attributes[key] = value;
+              return span;
+            },
+            recordException(exception) {
+              span.exceptions.push(exception);
+            },
+            setStatus(status) {
+              span.status = status;
+              return span;
+            },
+            end() {
+              span.ended = true;
+            }
+          };
+          span.id = nextId++;
+          spans.push(span);
+          return span;
+        }
+      };
+    };
+
+    beforeEach(() => {
+      clientOptions.tracer = createTracer();
+    });
+
+    it("should trace a request and its attempt", () => {
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request({ pathname: "/projects", query: { limit: 10 } })
+        .then(() => {
+          assert.equal(spans.length, 2);
+          const [requestSpan, attemptSpan] = spans;
+          assert.equal(requestSpan.name, "GET");
+          assert.equal(requestSpan.kind, SpanKind.CLIENT);
+          assert.equal(requestSpan.parent, undefined);
+          assert.deepStrictEqual(requestSpan.attributes, {
+            "http.request.method": "GET",
+            "url.full":
+              "https://catwatch.opensource.zalan.do/projects?limit=10",
+            "server.address": "catwatch.opensource.zalan.do",
+            "server.port": 443,
+            "http.response.status_code": 200
+          });
+          assert.equal(attemptSpan.parent, requestSpan);
+          assert.equal(
+            attemptSpan.attributes["http.response.status_code"],
+            200
+          );
+          assert(requestSpan.ended && attemptSpan.ended);
+          assert.equal(
+            requestStub.firstCall.args[0].headers.traceparent,
+            "00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000002-01"
+          );
+        });
+    });
+
+    it("should trace every attempt of a retried request", () => {
+      clientOptions.retryOptions = { retries: 2, minTimeout: 0, maxTimeout: 0 };
+      const client = new ServiceClient(clientOptions);
+      const networkError = new NetworkError(new Error("foo"), {});
+      requestStub.onFirstCall().rejects(networkError);
+      return client.request().then(() => {
+        assert.equal(spans.length, 3);
+        const [requestSpan, firstAttempt, secondAttempt] = spans;
+        assert.deepStrictEqual(firstAttempt.exceptions, [networkError]);
+        assert.equal(firstAttempt.status.code, SpanStatusCode.ERROR);
+        assert.equal(firstAttempt.attributes["error.type"], "NetworkError");
+        assert.equal(
+          firstAttempt.attributes["http.request.resend_count"],
+          undefined
+        );
+        assert.equal(secondAttempt.attributes["http.request.resend_count"], 1);
+        assert.equal(requestSpan.attributes["http.request.resend_count"], 1);
+        assert.equal(requestSpan.status.code, SpanStatusCode.UNSET);
+        assert.notEqual(
+          requestStub.firstCall.args[0].headers.traceparent,
+          requestStub.secondCall.args[0].headers.traceparent
+        );
+      });
+    });
+
+    it("should record the error of a failed request", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.resolves({ statusCode: 503, headers: {}, body: "{}" });
+      return client.request().then(fail, err => {
+        const [requestSpan, attemptSpan] = spans;
+        assert.deepStrictEqual(requestSpan.exceptions, [err]);
+        assert.deepStrictEqual(requestSpan.status, {
+          code: SpanStatusCode.ERROR,
+          message: err.message
+        });
+        assert.equal(
+          requestSpan.attributes["error.type"],
+          "ResponseFilterError"
+        );
+        assert.equal(requestSpan.attributes["http.response.status_code"], 503);
+        assert.equal(attemptSpan.attributes["error.type"], "503");
+        assert.equal(attemptSpan.status.code, SpanStatusCode.ERROR);
+        assert(requestSpan.ended && attemptSpan.ended);
+      });
+    });
+
+    it("should not trace attempts rejected by the circuit breaker", () => {
+      clientOptions.circuitBreaker = {};
+      const client = new ServiceClient(clientOptions);
+      client.getCircuitBreaker({}).forceOpen();
+      return client.request().then(fail, err => {
+        assert(err instanceof CircuitOpenError);
+        assert.equal(spans.length, 1);
+        assert.equal(spans[0].attributes["error.type"], "CircuitOpenError");
+        assert(spans[0].ended);
+      });
+    });
+  });
+
+  describe("events", () => {
+    let events;
+
+    const recordEvents = client => {
+      events = [];
+      [
+        "request:start",
+        "attempt:start",
+        "attempt:error",
+        "retry:scheduled",
+        "circuit:rejected",
+        "request:success",
+        "request:failure"
+      ].forEach(name =>
+        client.on(name, event => events.push({ name, ...event }))
+      );
+      return client;
+    };
+
+    it("should emit the events of a successful request", () => {
+      const client = recordEvents(new ServiceClient(clientOptions));
+      return client.request({ pathname: "/foo" }).then(response => {
+        assert.deepStrictEqual(events.map(event => event.name), [
+          "request:start",
+          "attempt:start",
+          "request:success"
+        ]);
+        events.forEach(event => {
+          assert.equal(event.client, "catwatch.opensource.zalan.do");
+          assert.equal(event.params.pathname, "/foo");
+        });
+        assert.equal(events[1].attempt, 1);
+        const success = events[2];
+        assert.equal(success.attempts, 1);
+        assert.strictEqual(success.response, response);
+        assert(success.duration >= 0);
+      });
+    });
+
+    it("should emit the events of retries", () => {
+      clientOptions.retryOptions = { retries: 1, minTimeout: 0, maxTimeout: 0 };
+      const client = recordEvents(new ServiceClient(clientOptions));
+      requestStub
+        .onFirstCall()
+        .rejects(new ConnectionTimeoutError("timeout", {}));
+      return client.request().then(() => {
+        assert.deepStrictEqual(events.map(event => event.name), [
+          "request:start",
+          "attempt:start",
+          "attempt:error",
+          "retry:scheduled",
+          "attempt:start",
+          "request:success"
+        ]);
+        assert.equal(events[2].attempt, 1);
+        assert(events[2].error instanceof RequestConnectionTimeoutError);
+        assert.equal(events[3].attempt, 2);
+        assert.equal(events[3].delay, 0);
+        assert.strictEqual(events[3].error, events[2].error);
+        assert.equal(events[4].attempt, 2);
+        assert.equal(events[5].attempts, 2);
+      });
+    });
+
+    it("should emit the events of a failed request", () => {
+      const client = recordEvents(new ServiceClient(clientOptions));
+      requestStub.resolves({
+        statusCode: 500,
+        headers: {},
+        body: "{}",
+        timingPhases: { total: 10 }
+      });
+      return client.request().then(fail, err => {
+        const failure = events[events.length - 1];
+        assert.equal(failure.name, "request:failure");
+        assert.strictEqual(failure.error, err);
+        assert.equal(failure.attempts, 1);
+        assert.deepStrictEqual(failure.timingPhases, { total: 10 });
+        assert.deepStrictEqual(events[2].timingPhases, { total: 10 });
+      });
+    });
+
+    it("should emit an event when the circuit rejects an attempt", () => {
+      clientOptions.circuitBreaker = {};
+      const client = recordEvents(new ServiceClient(clientOptions));
+      client.getCircuitBreaker({}).forceOpen();
+      return client.request().then(fail, err => {
+        assert.deepStrictEqual(events.map(event => event.name), [
+          "request:start",
+          "attempt:start",
+          "attempt:error",
+          "circuit:rejected",
+          "request:failure"
+        ]);
+        assert.strictEqual(events[3].error, err);
+        assert.equal(events[3].attempt, 1);
+      });
+    });
+
+    describe("with throwing listeners", () => {
+      const { nextTick } = process;
+      let listenerErrors;
+
+      beforeEach(() => {
+        listenerErrors = [];
+        // the errors are thrown on the next tick, which would fail the test
+        sinon.stub(process, "nextTick").callsFake((callback, ...args) =>
+          nextTick(() => {
+            try {
+              callback(...args);
+            } catch (error) {
+              listenerErrors.push(error);
+            }
+          })
+        );
+      });
+
+      afterEach(() => {
+        process.nextTick.restore();
+      });
+
+      const flush = () => new Promise(resolve => realSetImmediate(resolve));
+
+      it("should not break the request if a success listener throws", () => {
+        const client = new ServiceClient(clientOptions);
+        const error = new Error("listener");
+        client.on("request:success", () => {
+          throw error;
+        });
+        return client
+          .request()
+          .then(response => {
+            assert.equal(response.statusCode, 200);
+            return flush();
+          })
+          .then(() => {
+            assert.deepStrictEqual(listenerErrors, [error]);
+          });
+      });
+
+      it("should not hang the request if an error listener throws", () => {
+        const client = new ServiceClient(clientOptions);
+        const error = new Error("listener");
+        client.on("attempt:error", () => {
+          throw error;
+        });
+        requestStub.rejects(new Error("foo"));
+        return client
+          .request()
+          .then(fail, err => {
+            assert(err instanceof InternalError);
+            return flush();
+          })
+          .then(() => {
+            assert.deepStrictEqual(listenerErrors, [error]);
+          });
+      });
+    });
+
+    it("should publish the events to diagnostics channels", function() {
+      let diagnosticsChannel;
+      try {
+        diagnosticsChannel = require("diagnostics_channel");
+      } catch (error) {
+        // only available since Node 15.1 and 14.17
+        this.skip();
+      }
+      const messages = [];
+      const onMessage = message => messages.push(message);
+      // the top-level subscribe is only available since Node 16.17
+      const channel = diagnosticsChannel.channel("perron:request:success");
+      channel.subscribe(onMessage);
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request()
+        .then(response => {
+          assert.equal(messages.length, 1);
+          assert.strictEqual(messages[0].response, response);
+        })
+        .finally(() => channel.unsubscribe(onMessage));
+    });
+  });
+
+  describe("close", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    const flush = () => new Promise(resolve => realSetImmediate(resolve));
+
+    it("should reject new requests", () => {
+      const client = new ServiceClient(clientOptions);
+      return client
+        .close()
+        .then(() => client.request())
+        .then(fail, err => {
+          assert(err instanceof ClientClosedError);
+          assert(requestStub.notCalled);
+        });
+    });
+
+    it("should wait for in-flight requests", () => {
+      const client = new ServiceClient(clientOptions);
+      let respond;
+      requestStub.returns(new Promise(resolve => (respond = resolve)));
+      const promise = client.request();
+      let closed = false;
+      const closing = client.close().then(() => (closed = true));
+      return flush()
+        .then(() => {
+          assert(!closed);
+          respond({ statusCode: 200, headers: {}, body: "{}" });
+          return Promise.all([promise, closing]);
+        })
+        .then(([response]) => {
+          assert.equal(response.statusCode, 200);
+          assert(closed);
+        });
+    });
+
+    it("should reject and abort in-flight requests after the drain timeout", () => {
+      const client = new ServiceClient(clientOptions);
+      requestStub.returns(new Promise(() => undefined));
+      const promise = client.request();
+      const closing = client.close({ drainTimeout: 1000 });
+      return flush()
+        .then(() => {
+          assert(!requestStub.firstCall.args[0].signal.aborted);
+          clock.tick(1000);
+          return promise;
+        })
+        .then(fail, err => {
+          assert(err instanceof ClientClosedError);
+          assert(requestStub.firstCall.args[0].signal.aborted);
+          return closing;
+        });
+    });
+
+    it("should cancel scheduled retries", () => {
+      clientOptions.retryOptions = { retries: 1, minTimeout: 100 };
+      let retried;
+      const retryScheduled = new Promise(resolve => (retried = resolve));
+      clientOptions.retryOptions.onRetry = () => retried();
+      const client = new ServiceClient(clientOptions);
+      requestStub.rejects(new NetworkError(new Error("foo"), {}));
+      const promise = client.request();
+      return retryScheduled
+        .then(() => client.close())
+        .then(() => promise)
+        .then(fail, err => {
+          assert(err instanceof ClientClosedError);
+          assert.equal(err.retryErrors.length, 1);
+          clock.tick(1000);
+          assert(requestStub.calledOnce);
+        });
+    });
+
+    it("should not retry requests that fail while draining", () => {
+      clientOptions.retryOptions = { retries: 1 };
+      const client = new ServiceClient(clientOptions);
+      let failRequest;
+      requestStub.returns(
+        new Promise((resolve, reject) => (failRequest = reject))
+      );
+      const promise = client.request();
+      const closing = client.close();
+      failRequest(new NetworkError(new Error("foo"), {}));
+      return promise.then(fail, err => {
+        assert(err instanceof ClientClosedError);
+        assert(err.retryErrors[0] instanceof RequestNetworkError);
+        assert(requestStub.calledOnce);
+        return closing;
+      });
+    });
+
+    it("should stop the timers of its circuit breaker", () => {
+      clientOptions.circuitBreaker = {};
+      const client = new ServiceClient(clientOptions);
+      assert.notEqual(clock.countTimers(), 0);
+      return client.close().then(() => {
+        assert.equal(clock.countTimers(), 0);
+      });
+    });
+
+    it("should destroy its keep-alive agents", () => {
+      clientOptions.keepAlive = true;
+      const client = new ServiceClient(clientOptions);
+      return client
+        .request()
+        .then(() => client.request({ protocol: "http:" }))
+        .then(() => {
+          const httpsAgent = requestStub.firstCall.args[0].agent;
+          const httpAgent = requestStub.secondCall.args[0].agent;
+          assert(httpsAgent instanceof https.Agent);
+          assert(httpsAgent.keepAlive);
+          assert(!(httpAgent instanceof https.Agent));
+          sinon.spy(httpsAgent, "destroy");
+          sinon.spy(httpAgent, "destroy");
+          return client.close().then(() => {
+            sinon.assert.calledOnce(httpsAgent.destroy);
+            sinon.assert.calledOnce(httpAgent.destroy);
+          });
+        });
+    });
+
+    it("should not replace the agent of a request", () => {
+      clientOptions.keepAlive = true;
+      const agent = new https.Agent();
+      const client = new ServiceClient(clientOptions);
+      return client.request({ agent }).then(() => {
+        assert.strictEqual(requestStub.firstCall.args[0].agent, agent);
+      });
     });
   });
 });
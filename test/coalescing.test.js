@@ -0,0 +1,220 @@
+"use strict";
+
+const assert = require("assert");
+const sinon = require("sinon");
+const { AbortController } = require("../dist/abort");
+const { RequestCoalescer } = require("../dist/coalescing");
+const {
+  AbortedError,
+  NetworkError,
+  ServiceClientResponse,
+  UserTimeoutError
+} = require("../dist/request");
+
+describe("RequestCoalescer", () => {
+  let send;
+  let resolveSend;
+  let rejectSend;
+  let coalescer;
+
+  const params = (extra = {}) => ({
+    hostname: "catwatch.opensource.zalan.do",
+    pathname: "/config",
+    headers: { accept: "application/json" },
+    ...extra
+  });
+
+  beforeEach(() => {
+    send = sinon.spy(
+      options =>
+        new Promise((resolve, reject) => {
+          resolveSend = () =>
+            resolve(new ServiceClientResponse(200, {}, "{}", options));
+          rejectSend = reject;
+        })
+    );
+    coalescer = new RequestCoalescer({}, send);
+  });
+
+  it("should share one request between identical requests", () => {
+    const first = coalescer.request(params());
+    const second = coalescer.request(params());
+    resolveSend();
+    return Promise.all([first, second]).then(([a, b]) => {
+      assert(send.calledOnce);
+      assert.notStrictEqual(a, b);
+      assert.equal(a.body, "{}");
+      assert.equal(b.body, "{}");
+    });
+  });
+
+  it("should give every waiter its own response", () => {
+    const firstParams = params();
+    const secondParams = params();
+    const first = coalescer.request(firstParams);
+    const second = coalescer.request(secondParams);
+    resolveSend();
+    return Promise.all([first, second]).then(([a, b]) => {
+      a.headers.foo = "bar";
+      assert.equal(b.headers.foo, undefined);
+      assert.strictEqual(a.request, firstParams);
+      assert.strictEqual(b.request, secondParams);
+    });
+  });
+
+  it("should not share requests that finished", () => {
+    const first = coalescer.request(params());
+    resolveSend();
+    return first
+      .then(() => {
+        const second = coalescer.request(params());
+        resolveSend();
+        return second;
+      })
+      .then(() => {
+        assert(send.calledTwice);
+      });
+  });
+
+  it("should not share requests with different paths, queries or headers", () => {
+    coalescer.request(params());
+    coalescer.request(params({ pathname: "/other" }));
+    coalescer.request(params({ query: { foo: "bar" } }));
+    coalescer.request(params({ headers: { Authorization: "Bearer 123" } }));
+    coalescer.request(
+      params({ headers: { accept: "application/json", "x-flow-id": "123" } })
+    );
+    assert.equal(send.callCount, 5);
+  });
+
+  it("should not share requests that only differ by their cookie header", () => {
+    coalescer.request(
+      params({ headers: { accept: "application/json", cookie: "alice" } })
+    );
+    coalescer.request(
+      params({ headers: { accept: "application/json", Cookie: "bob" } })
+    );
+    assert.equal(send.callCount, 2);
+    assert.equal(send.secondCall.args[0].headers.Cookie, "bob");
+  });
+
+  it("should ignore the headers that are set for every attempt", () => {
+    coalescer.request(
+      params({
+        headers: {
+          accept: "application/json",
+          traceparent:
+            "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01",
+          "Idempotency-Key": "foo"
+        }
+      })
+    );
+    coalescer.request(
+      params({ headers: { accept: "application/json", tracestate: "foo=bar" } })
+    );
+    assert(send.calledOnce);
+  });
+
+  it("should only compare the configured headers", () => {
+    coalescer = new RequestCoalescer({ headers: ["Accept"] }, send);
+    coalescer.request(
+      params({ headers: { accept: "application/json", "x-flow-id": "123" } })
+    );
+    coalescer.request(
+      params({ headers: { accept: "application/json", "x-flow-id": "456" } })
+    );
+    coalescer.request(params({ headers: { accept: "text/plain" } }));
+    assert.equal(send.callCount, 2);
+  });
+
+  it("should not share requests with options that change the response", () => {
+    coalescer.request(params());
+    coalescer.request(params({ autoDecodeUtf8: true }));
+    coalescer.request(params({ autoDecodeUtf8: false }));
+    coalescer.request(params({ maxResponseBytes: 1024 }));
+    coalescer.request(params({ timing: true }));
+    coalescer.request(params({ port: 8080 }));
+    coalescer.request(params({ protocol: "http:" }));
+    assert.equal(send.callCount, 6);
+  });
+
+  it("should not share requests with unsafe methods, bodies or streams", () => {
+    coalescer.request(params({ method: "POST" }));
+    coalescer.request(params({ method: "POST" }));
+    coalescer.request(params({ body: "foo" }));
+    coalescer.request(params({ body: "foo" }));
+    coalescer.request(params({ responseType: "stream" }));
+    coalescer.request(params({ responseType: "stream" }));
+    assert.equal(send.callCount, 6);
+  });
+
+  it("should use a custom key function", () => {
+    coalescer = new RequestCoalescer(
+      {
+        key: options => (options.pathname === "/config" ? "config" : undefined)
+      },
+      send
+    );
+    coalescer.request(params({ query: { foo: "bar" } }));
+    coalescer.request(params());
+    coalescer.request(params({ pathname: "/other" }));
+    coalescer.request(params({ pathname: "/other" }));
+    assert.equal(send.callCount, 3);
+  });
+
+  it("should reject all waiters with the error", () => {
+    const first = coalescer.request(params());
+    const second = coalescer.request(params());
+    const error = new NetworkError(new Error("foo"), params());
+    rejectSend(error);
+    return Promise.all([
+      first.then(assert.fail, err => err),
+      second.then(assert.fail, err => err)
+    ]).then(errors => {
+      assert(send.calledOnce);
+      assert.strictEqual(errors[0], error);
+      assert.strictEqual(errors[1], error);
+    });
+  });
+
+  it("should only abort the shared request once all waiters aborted", () => {
+    const firstController = new AbortController();
+    const secondController = new AbortController();
+    const first = coalescer.request(params({ signal: firstController.signal }));
+    const second = coalescer.request(
+      params({ signal: secondController.signal })
+    );
+    const sharedSignal = send.firstCall.args[0].signal;
+    firstController.abort();
+    assert(!sharedSignal.aborted);
+    return first
+      .then(assert.fail, err => {
+        assert(err instanceof AbortedError);
+        secondController.abort();
+        assert(sharedSignal.aborted);
+        // a new request must not join the aborted one
+        coalescer.request(params());
+        assert(send.calledTwice);
+        return second;
+      })
+      .then(assert.fail, err => {
+        assert(err instanceof AbortedError);
+      });
+  });
+
+  it("should apply dropRequestAfter to every waiter", () => {
+    const clock = sinon.useFakeTimers();
+    const first = coalescer.request(params({ dropRequestAfter: 100 }));
+    const second = coalescer.request(params());
+    assert.strictEqual(send.firstCall.args[0].dropRequestAfter, undefined);
+    clock.tick(100);
+    clock.restore();
+    resolveSend();
+    return Promise.all([first.then(assert.fail, err => err), second]).then(
+      ([err, response]) => {
+        assert(err instanceof UserTimeoutError);
+        assert.equal(response.statusCode, 200);
+      }
+    );
+  });
+});
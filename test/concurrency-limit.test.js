@@ -0,0 +1,48 @@
+const { AimdLimit } = require("../dist/concurrency-limit");
+const assert = require("assert");
+
+describe("AimdLimit", () => {
+  const sample = (extra = {}) => ({
+    inFlight: 10,
+    latency: 100,
+    failed: false,
+    ...extra
+  });
+
+  it("should reject invalid options", () => {
+    assert.throws(
+      () => new AimdLimit({ minLimit: 10, maxLimit: 5 }),
+      TypeError
+    );
+    assert.throws(() => new AimdLimit({ backoffRatio: 1 }), TypeError);
+  });
+
+  it("should keep the initial limit within the bounds", () => {
+    assert.equal(new AimdLimit().limit, 20);
+    assert.equal(new AimdLimit({ initialLimit: 500 }).limit, 200);
+    assert.equal(new AimdLimit({ initialLimit: 1, minLimit: 5 }).limit, 5);
+  });
+
+  it("should grow by one for successful attempts that used the limit", () => {
+    const limit = new AimdLimit({ initialLimit: 20, maxLimit: 21 });
+    assert.equal(limit.update(sample({ inFlight: 9 })), 20);
+    assert.equal(limit.update(sample({ inFlight: 10 })), 21);
+    assert.equal(limit.update(sample({ inFlight: 21 })), 21);
+  });
+
+  it("should shrink for failed attempts", () => {
+    const limit = new AimdLimit({ initialLimit: 20, minLimit: 16 });
+    assert.equal(limit.update(sample({ failed: true })), 18);
+    assert.equal(limit.update(sample({ failed: true })), 16);
+    assert.equal(limit.update(sample({ failed: true })), 16);
+  });
+
+  it("should shrink for attempts slower than the usual latency", () => {
+    const limit = new AimdLimit({ initialLimit: 20, maxLimit: 20 });
+    for (let i = 0; i < 20; i++) {
+      limit.update(sample({ latency: 100 + i }));
+    }
+    assert.equal(limit.update(sample({ latency: 150 })), 20);
+    assert.equal(limit.update(sample({ latency: 300 })), 18);
+  });
+});
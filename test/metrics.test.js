@@ -0,0 +1,84 @@
+const { MetricsRegistry } = require("../dist/metrics");
+const assert = require("assert");
+
+describe("MetricsRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  it("should export an empty registry", () => {
+    assert.equal(registry.metrics(), "# EOF\n");
+  });
+
+  it("should export counters", () => {
+    const counter = registry.counter("requests", "Requests.");
+    counter.inc({ client: "foo" });
+    counter.inc({ client: "foo" }, 2);
+    counter.inc({ client: "bar" });
+    assert.equal(
+      registry.metrics(),
+      [
+        "# TYPE requests counter",
+        "# HELP requests Requests.",
+        'requests_total{client="foo"} 3',
+        'requests_total{client="bar"} 1',
+        "# EOF",
+        ""
+      ].join("\n")
+    );
+  });
+
+  it("should export gauges from collectors", () => {
+    const gauge = registry.gauge("state", "State.");
+    const remove = gauge.addCollector(() => [
+      { labels: { key: "a" }, value: 1 }
+    ]);
+    assert(registry.metrics().includes('state{key="a"} 1\n'));
+    remove();
+    assert(!registry.metrics().includes("state{"));
+  });
+
+  it("should export histograms", () => {
+    const histogram = registry.histogram(
+      "duration_seconds",
+      "Duration.",
+      "seconds",
+      [0.1, 1]
+    );
+    histogram.observe({ phase: "total" }, 0.05);
+    histogram.observe({ phase: "total" }, 0.5);
+    histogram.observe({ phase: "total" }, 2);
+    assert.equal(
+      registry.metrics(),
+      [
+        "# TYPE duration_seconds histogram",
+        "# UNIT duration_seconds seconds",
+        "# HELP duration_seconds Duration.",
+        'duration_seconds_bucket{phase="total",le="0.1"} 1',
+        'duration_seconds_bucket{phase="total",le="1"} 2',
+        'duration_seconds_bucket{phase="total",le="+Inf"} 3',
+        'duration_seconds_count{phase="total"} 3',
+        'duration_seconds_sum{phase="total"} 2.55',
+        "# EOF",
+        ""
+      ].join("\n")
+    );
+  });
+
+  it("should escape label values", () => {
+    registry.counter("requests", "Requests.").inc({ path: 'a"b\\c\nd' });
+    assert(
+      registry.metrics().includes('requests_total{path="a\\"b\\\\c\\nd"} 1')
+    );
+  });
+
+  it("should share families with the same name", () => {
+    assert.strictEqual(
+      registry.counter("requests", "Requests."),
+      registry.counter("requests", "Requests.")
+    );
+    assert.throws(() => registry.gauge("requests", "Requests."), TypeError);
+  });
+});
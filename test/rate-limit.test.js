@@ -0,0 +1,94 @@
+const { RateLimiter } = require("../dist/rate-limit");
+const { AbortController } = require("../dist/abort");
+const assert = require("assert");
+const sinon = require("sinon");
+
+describe("RateLimiter", () => {
+  let clock;
+
+  const params = (pathname = "/") => ({ pathname });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it("should reject invalid options", () => {
+    assert.throws(() => new RateLimiter({ rate: 0 }), TypeError);
+    assert.throws(() => new RateLimiter({ rate: 1, burst: 0.5 }), TypeError);
+  });
+
+  it("should allow a burst and then reject right away", () => {
+    const limiter = new RateLimiter({ rate: 10, burst: 2 });
+    return Promise.all([limiter.acquire(params()), limiter.acquire(params())])
+      .then(() => limiter.acquire(params()))
+      .then(assert.fail, err => {
+        assert.equal(err.message, "rate of 10 per second exceeded");
+        clock.tick(100);
+        return limiter.acquire(params());
+      });
+  });
+
+  it("should wait for a token up to maxWait", () => {
+    const limiter = new RateLimiter({ rate: 10, maxWait: 150 });
+    let acquired = 0;
+    const count = () => acquired++;
+    limiter.acquire(params()).then(count);
+    const second = limiter.acquire(params()).then(count);
+    const third = limiter.acquire(params()).then(assert.fail, err => err);
+    return Promise.resolve()
+      .then(() => {
+        assert.equal(acquired, 1);
+        clock.tick(100);
+        return second;
+      })
+      .then(() => third)
+      .then(err => {
+        assert.equal(acquired, 2);
+        assert.equal(err.message, "rate of 10 per second exceeded");
+      });
+  });
+
+  it("should return the token of an aborted attempt", () => {
+    const limiter = new RateLimiter({ rate: 10, maxWait: 100 });
+    const controller = new AbortController();
+    limiter.acquire(params());
+    const aborted = limiter.acquire(params(), controller.signal);
+    controller.abort();
+    return aborted.then(assert.fail, err => {
+      assert.equal(err.message, "aborted");
+      // the next attempt takes the token that was returned
+      const next = limiter.acquire(params());
+      clock.tick(100);
+      return next;
+    });
+  });
+
+  it("should keep a separate limit per key", () => {
+    const limiter = new RateLimiter({
+      rate: 1,
+      key: options => options.pathname
+    });
+    return Promise.all([
+      limiter.acquire(params("/foo")),
+      limiter.acquire(params("/bar"))
+    ])
+      .then(() => limiter.acquire(params("/foo")))
+      .then(assert.fail, err => {
+        assert.equal(err.message, "rate of 1 per second exceeded");
+      });
+  });
+
+  it("should reject all waiting attempts when cleared", () => {
+    const limiter = new RateLimiter({ rate: 1, maxWait: 5000 });
+    limiter.acquire(params());
+    const waiting = limiter.acquire(params());
+    limiter.clear();
+    return waiting.then(assert.fail, err => {
+      assert.equal(err.message, "the waiting attempts were cleared");
+    });
+  });
+});
@@ -49,6 +49,32 @@ class BufferStream extends stream.Readable {
 const fail = result =>
   assert.fail(`expected promise to be rejected, got resolved with ${result}`);
 
+const readStream = readable =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    readable.on("data", chunk => chunks.push(chunk));
+    readable.on("error", reject);
+    readable.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+
+// AbortController is not available in all supported Node versions
+const createAbortController = () => {
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.off(type, listener)
+  };
+  return {
+    signal,
+    emitter,
+    abort() {
+      signal.aborted = true;
+      emitter.emit("abort");
+    }
+  };
+};
+
 describe("request", () => {
   const httpStub = {};
   const httpsStub = {};
@@ -231,6 +257,45 @@ describe("request", () => {
     });
   });
 
+  it("should decompress response body with br encoding", () => {
+    const promise = request();
+    const responseStub = new BufferStream(zlib.brotliCompressSync("foobar"));
+    responseStub.headers = {
+      "content-encoding": "br"
+    };
+    requestStub.emit("response", responseStub);
+    return promise.then(response => {
+      assert.equal(response.body, "foobar");
+    });
+  });
+
+  it("should decode stacked encodings in reverse order", () => {
+    const promise = request();
+    const responseStub = new BufferStream(
+      zlib.brotliCompressSync(zlib.gzipSync("foobar"))
+    );
+    responseStub.headers = {
+      "content-encoding": "gzip, BR"
+    };
+    requestStub.emit("response", responseStub);
+    return promise.then(response => {
+      assert.equal(response.body, "foobar");
+    });
+  });
+
+  it("should not decode the body if one of the encodings is unknown", () => {
+    const compressed = zlib.gzipSync("foobar");
+    const promise = request({ autoDecodeUtf8: false });
+    const responseStub = new BufferStream(compressed);
+    responseStub.headers = {
+      "content-encoding": "gzip, compress"
+    };
+    requestStub.emit("response", responseStub);
+    return promise.then(response => {
+      assert.deepEqual(response.body, compressed);
+    });
+  });
+
   it("should reject the promise on unzip error", () => {
     const promise = request();
     const responseStub = new BufferStream(Buffer.from("not gzipped!"));
@@ -243,6 +308,182 @@ describe("request", () => {
     });
   });
 
+  describe("with stream response type", () => {
+    it("should resolve the promise before the body is consumed", () => {
+      const promise = request({ responseType: "stream" });
+      const responseStub = new BufferStream(Buffer.from("foobar"));
+      responseStub.statusCode = 200;
+      responseStub.headers = {};
+      requestStub.emit("response", responseStub);
+      return promise
+        .then(response => {
+          assert.equal(response.statusCode, 200);
+          assert(response.body instanceof stream.Readable);
+          return readStream(response.body);
+        })
+        .then(body => {
+          assert.equal(body.toString(), "foobar");
+        });
+    });
+
+    it("should inflate the streamed body", () => {
+      const promise = request({ responseType: "stream" });
+      const responseStub = new BufferStream(zlib.gzipSync("foobar"));
+      responseStub.headers = {
+        "content-encoding": "gzip"
+      };
+      requestStub.emit("response", responseStub);
+      return promise
+        .then(response => readStream(response.body))
+        .then(body => {
+          assert.equal(body.toString(), "foobar");
+        });
+    });
+
+    it("should record timings once the stream ends", () => {
+      const promise = request({ responseType: "stream", timing: true });
+      requestStub.emit("socket", new SocketStub(false));
+      clock.tick(10);
+      const responseStub = new stream.PassThrough();
+      responseStub.headers = {};
+      requestStub.emit("response", responseStub);
+      return promise.then(response => {
+        assert.equal(response.timings.response, 10);
+        assert.strictEqual(response.timings.end, undefined);
+        const body = readStream(response.body);
+        responseStub.write("foo");
+        clock.tick(20);
+        responseStub.end("bar");
+        return body.then(() => {
+          assert.equal(response.timings.end, 30);
+          assert.equal(response.timingPhases.download, 20);
+        });
+      });
+    });
+
+    it("should destroy the stream on read timeout", () => {
+      const promise = request({ responseType: "stream" });
+      requestStub.socket = new SocketStub(false);
+      const responseStub = new stream.PassThrough();
+      responseStub.headers = {};
+      requestStub.emit("response", responseStub);
+      return promise.then(response => {
+        const body = readStream(response.body);
+        responseStub.write("foo");
+        requestStub.setTimeout.invokeCallback();
+        return body.then(fail, error => {
+          assert.equal(error.message, "read timeout");
+          assert(requestStub.socket.destroy.calledOnce);
+        });
+      });
+    });
+
+    it("should log the streamed bytes in the span object", () => {
+      const logSpy = sinon.spy();
+      const promise = request({
+        responseType: "stream",
+        span: { log: logSpy }
+      });
+      const responseStub = new BufferStream(Buffer.from("foo"));
+      responseStub.headers = {};
+      requestStub.emit("response", responseStub);
+      return promise
+        .then(response => readStream(response.body))
+        .then(() => {
+          sinon.assert.calledWith(logSpy, {
+            http_response_body_stream: { name: "bytes", value: 1 }
+          });
+          sinon.assert.calledWith(logSpy, {
+            http_response_body_stream: { name: "end", value: 3 }
+          });
+          sinon.assert.calledWith(logSpy, { http_response: "end" });
+        });
+    });
+  });
+
+  describe("with maxResponseBytes", () => {
+    beforeEach(() => {
+      requestStub.abort = sinon.stub();
+    });
+
+    it("should resolve the promise if the body is within the limit", () => {
+      const promise = request({ maxResponseBytes: 6 });
+      const responseStub = new ResponseStub();
+      requestStub.emit("response", responseStub);
+      responseStub.emit("data", Buffer.from("foo"));
+      responseStub.emit("data", Buffer.from("bar"));
+      responseStub.emit("end");
+      return promise.then(response => {
+        assert.equal(response.body, "foobar");
+      });
+    });
+
+    it("should abort the request once the body exceeds the limit", () => {
+      const promise = request({ maxResponseBytes: 5 });
+      const responseStub = new ResponseStub();
+      requestStub.emit("response", responseStub);
+      responseStub.emit("data", Buffer.from("foo"));
+      responseStub.emit("data", Buffer.from("bar"));
+      responseStub.emit("end");
+      return promise.then(fail, error => {
+        assert.equal(error.message, "response is larger than 5 bytes");
+        assert(requestStub.abort.calledOnce);
+      });
+    });
+
+    it("should abort the request if the content-length exceeds the limit", () => {
+      const promise = request({ maxResponseBytes: 5 });
+      const responseStub = new ResponseStub();
+      responseStub.headers = { "content-length": "6" };
+      requestStub.emit("response", responseStub);
+      return promise.then(fail, error => {
+        assert.equal(error.message, "response is larger than 5 bytes");
+        assert(requestStub.abort.calledOnce);
+      });
+    });
+
+    it("should abort the request if the inflated body exceeds the limit", () => {
+      const compressed = zlib.gzipSync(Buffer.alloc(1000));
+      const promise = request({ maxResponseBytes: 100 });
+      const responseStub = new BufferStream(compressed);
+      responseStub.headers = { "content-encoding": "gzip" };
+      assert(compressed.length < 100);
+      requestStub.emit("response", responseStub);
+      return promise.then(fail, error => {
+        assert.equal(error.message, "response is larger than 100 bytes");
+        assert(requestStub.abort.calledOnce);
+      });
+    });
+
+    it("should abort the request if the compressed body exceeds the limit", () => {
+      const compressed = zlib.gzipSync(Buffer.from("foobar"));
+      const promise = request({ maxResponseBytes: compressed.length - 1 });
+      const responseStub = new BufferStream(compressed);
+      responseStub.headers = { "content-encoding": "gzip" };
+      requestStub.emit("response", responseStub);
+      return promise.then(fail, error => {
+        assert(error.message.startsWith("response is larger than"));
+        assert(requestStub.abort.calledOnce);
+      });
+    });
+
+    it("should destroy a streamed body that exceeds the limit", () => {
+      const promise = request({ maxResponseBytes: 5, responseType: "stream" });
+      const responseStub = new stream.PassThrough();
+      responseStub.headers = {};
+      requestStub.emit("response", responseStub);
+      return promise.then(response => {
+        const body = readStream(response.body);
+        responseStub.write("foo");
+        responseStub.end("bar");
+        return body.then(fail, error => {
+          assert.equal(error.message, "response is larger than 5 bytes");
+          assert(requestStub.abort.calledOnce);
+        });
+      });
+    });
+  });
+
   it("should reject the promise on connection timeout", done => {
     const timeout = 100;
     const host = "example.org";
@@ -312,6 +553,24 @@ describe("request", () => {
     });
   });
 
+  it("should clear the drop timer when the request settles", () => {
+    requestStub.abort = sinon.stub();
+    const responseStub = new ResponseStub();
+    const promise = request({ dropRequestAfter: 500 });
+    requestStub.emit("response", responseStub);
+    responseStub.emit("end");
+    return promise
+      .then(() => {
+        assert.equal(clock.countTimers(), 0);
+        const failing = request({ dropRequestAfter: 500 });
+        requestStub.emit("error", new Error("request failed"));
+        return failing;
+      })
+      .then(fail, () => {
+        assert.equal(clock.countTimers(), 0);
+      });
+  });
+
   it("should attach the request options to the response", () => {
     requestStub.abort = sinon.stub();
     const responseStub = new ResponseStub();
@@ -367,6 +626,42 @@ describe("request", () => {
     });
   });
 
+  it("should abort the request when the signal fires", () => {
+    requestStub.abort = sinon.stub();
+    const controller = createAbortController();
+    const promise = request({ signal: controller.signal });
+    requestStub.emit("response", new ResponseStub());
+    controller.abort();
+    return promise.then(fail, error => {
+      assert.equal(error.message, "request aborted");
+      assert(requestStub.abort.calledOnce);
+      assert.equal(controller.emitter.listenerCount("abort"), 0);
+    });
+  });
+
+  it("should not start the request if the signal has already fired", () => {
+    const controller = createAbortController();
+    controller.abort();
+    return request({ signal: controller.signal }).then(fail, error => {
+      assert.equal(error.message, "request aborted");
+      assert(httpsStub.request.notCalled);
+    });
+  });
+
+  it("should stop listening to the signal once the request is done", () => {
+    requestStub.abort = sinon.stub();
+    const controller = createAbortController();
+    const promise = request({ signal: controller.signal });
+    const responseStub = new ResponseStub();
+    requestStub.emit("response", responseStub);
+    responseStub.emit("end");
+    return promise.then(() => {
+      assert.equal(controller.emitter.listenerCount("abort"), 0);
+      controller.abort();
+      assert(requestStub.abort.notCalled);
+    });
+  });
+
   it("should record timings for non-keep-alive connection", () => {
     const promise = request({ timing: true });
     const socketStub = new SocketStub(true);
@@ -1,4 +1,4 @@
-const { operation, timeouts } = require("../dist/retry");
+const { operation, timeouts, parseRetryAfter } = require("../dist/retry");
 const assert = require("assert");
 const sinon = require("sinon");
 
@@ -44,6 +44,192 @@ describe("Retry", function() {
     op.attempt();
   });
 
+  it("should not retry a stopped operation", () => {
+    const fn = sinon.spy();
+    const op = operation({ ...baseOptions, retries: 3 }, fn);
+    op.attempt();
+    assert(op.retry());
+    op.stop();
+    clock.tick(baseOptions.maxTimeout);
+    sinon.assert.calledOnce(fn);
+    assert.strictEqual(op.retry(), false);
+  });
+
+  it("should retry after the given delay instead of the computed one", () => {
+    const fn = sinon.spy();
+    const op = operation({ ...baseOptions, retries: 3 }, fn);
+    op.attempt();
+    assert(op.retry(new Error("some error"), 5000));
+    clock.tick(4999);
+    sinon.assert.calledOnce(fn);
+    clock.tick(1);
+    sinon.assert.calledTwice(fn);
+  });
+
+  it("should not retry after the given delay once no retries are left", () => {
+    const fn = sinon.spy();
+    const op = operation({ ...baseOptions, retries: 1 }, fn);
+    op.attempt();
+    assert(op.retry(new Error("some error"), 0));
+    clock.tick(0);
+    assert.strictEqual(op.retry(new Error("some error"), 0), false);
+    const stopped = operation({ ...baseOptions, retries: 1 }, fn);
+    stopped.stop();
+    assert.strictEqual(stopped.retry(new Error("some error"), 0), false);
+  });
+
+  describe("backoff", () => {
+    const options = {
+      retries: 5,
+      factor: 2,
+      minTimeout: 100,
+      maxTimeout: 1000,
+      randomize: false
+    };
+
+    // retries until none are left and collects the delays
+    const delays = (backoff, error) => {
+      const op = operation({ ...options, backoff }, sinon.spy());
+      const result = [];
+      for (let timeout = op.nextTimeout(error); timeout !== undefined; ) {
+        result.push(timeout);
+        op.retry(error);
+        clock.tick(timeout);
+        timeout = op.nextTimeout(error);
+      }
+      return result;
+    };
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("should support constant delays", () => {
+      assert.deepStrictEqual(delays("constant"), [100, 100, 100, 100, 100]);
+    });
+
+    it("should support linear delays", () => {
+      assert.deepStrictEqual(delays("linear"), [100, 200, 300, 400, 500]);
+    });
+
+    it("should support exponential delays", () => {
+      assert.deepStrictEqual(delays("exponential"), [100, 200, 400, 800, 1000]);
+    });
+
+    it("should support full jitter", () => {
+      sinon.stub(Math, "random").returns(0.5);
+      assert.deepStrictEqual(delays("fullJitter"), [50, 100, 200, 400, 500]);
+    });
+
+    it("should support equal jitter", () => {
+      sinon.stub(Math, "random").returns(0.5);
+      assert.deepStrictEqual(delays("equalJitter"), [75, 150, 300, 600, 750]);
+    });
+
+    it("should support decorrelated jitter", () => {
+      sinon.stub(Math, "random").returns(0.5);
+      // halfway between minTimeout and three times the previous delay
+      assert.deepStrictEqual(delays("decorrelatedJitter"), [
+        200,
+        350,
+        575,
+        913,
+        1000
+      ]);
+    });
+
+    it("should not sort the delays", () => {
+      const random = sinon.stub(Math, "random");
+      random.onFirstCall().returns(0.9);
+      random.returns(0.1);
+      assert.deepStrictEqual(delays("fullJitter").slice(0, 2), [90, 20]);
+    });
+
+    it("should call a custom function lazily with the error", () => {
+      const error = new Error("some error");
+      const backoff = sinon.spy((attempt, previousDelay) =>
+        previousDelay === undefined ? 10 : previousDelay + attempt
+      );
+      const op = operation({ ...options, retries: 3, backoff }, sinon.spy());
+      sinon.assert.notCalled(backoff);
+      assert.strictEqual(op.nextTimeout(error), 10);
+      assert.strictEqual(op.nextTimeout(error), 10);
+      sinon.assert.calledOnce(backoff);
+      sinon.assert.calledWithExactly(backoff, 1, undefined, error);
+      op.retry(error);
+      clock.tick(10);
+      op.retry(error);
+      sinon.assert.calledWithExactly(backoff.secondCall, 2, 10, error);
+      clock.tick(12);
+      assert.strictEqual(op.nextTimeout(error), 15);
+      op.retry(error);
+      clock.tick(15);
+      assert.strictEqual(op.nextTimeout(error), undefined);
+    });
+
+    it("should take the delay of a retry-after header into account", () => {
+      const backoff = sinon.spy(() => 10);
+      const op = operation({ ...options, backoff }, sinon.spy());
+      op.retry(new Error("some error"), 5000);
+      clock.tick(5000);
+      op.retry(new Error("some error"));
+      sinon.assert.calledWith(backoff, 2, 5000);
+    });
+
+    it("should reject unknown strategies", () => {
+      assert.throws(
+        () => operation({ ...options, backoff: "random" }, sinon.spy()),
+        TypeError
+      );
+    });
+  });
+
+  describe("parseRetryAfter", () => {
+    const now = Date.UTC(2020, 0, 1);
+
+    it("should parse delay in seconds", () => {
+      assert.strictEqual(
+        parseRetryAfter({ "retry-after": "120" }, now),
+        120000
+      );
+    });
+    it("should parse an HTTP date", () => {
+      assert.strictEqual(
+        parseRetryAfter(
+          { "retry-after": "Wed, 01 Jan 2020 00:00:30 GMT" },
+          now
+        ),
+        30000
+      );
+    });
+    it("should not return a negative delay for dates in the past", () => {
+      assert.strictEqual(
+        parseRetryAfter(
+          { "retry-after": "Tue, 31 Dec 2019 23:00:00 GMT" },
+          now
+        ),
+        0
+      );
+    });
+    it("should ignore invalid values", () => {
+      assert.strictEqual(
+        parseRetryAfter({ "retry-after": "soon" }, now),
+        undefined
+      );
+      assert.strictEqual(parseRetryAfter({}, now), undefined);
+    });
+    it("should fall back to rate limit reset headers", () => {
+      assert.strictEqual(
+        parseRetryAfter({ "ratelimit-reset": "3" }, now),
+        3000
+      );
+      assert.strictEqual(
+        parseRetryAfter({ "x-ratelimit-reset": String(now / 1000 + 5) }, now),
+        5000
+      );
+    });
+  });
+
   describe("timeout generation", () => {
     it("should work with default values", () => {
       const calculatedTimeouts = timeouts(baseOptions);
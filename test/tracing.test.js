@@ -0,0 +1,77 @@
+const {
+  formatTraceparent,
+  getRequestAttributes,
+  injectTraceContext
+} = require("../dist/tracing");
+const assert = require("assert");
+
+describe("tracing", () => {
+  const spanContext = {
+    traceId: "4bf92f3577b34da6a3ce929d0e0e4736",
+    spanId: "00f067aa0ba902b7",
+    traceFlags: 1
+  };
+  const span = context => ({ spanContext: () => context });
+
+  it("should format the traceparent header", () => {
+    assert.equal(
+      formatTraceparent(spanContext),
+      "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+    );
+    assert(
+      formatTraceparent({ ...spanContext, traceFlags: 0 }).endsWith("-00")
+    );
+  });
+
+  it("should replace the trace context headers", () => {
+    const headers = {
+      accept: "application/json",
+      Traceparent: "00-old",
+      TraceState: "old=1"
+    };
+    assert.deepStrictEqual(injectTraceContext(headers, span(spanContext)), {
+      accept: "application/json",
+      traceparent: "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+    });
+    assert.equal(headers.Traceparent, "00-old");
+  });
+
+  it("should inject the trace state", () => {
+    const headers = injectTraceContext(
+      {},
+      span({ ...spanContext, traceState: { serialize: () => "foo=bar" } })
+    );
+    assert.equal(headers.tracestate, "foo=bar");
+  });
+
+  it("should set the attributes of the semantic conventions", () => {
+    assert.deepStrictEqual(
+      getRequestAttributes({
+        hostname: "catwatch.opensource.zalan.do",
+        pathname: "/projects",
+        query: { limit: 10 }
+      }),
+      {
+        "http.request.method": "GET",
+        "url.full": "https://catwatch.opensource.zalan.do/projects?limit=10",
+        "server.address": "catwatch.opensource.zalan.do",
+        "server.port": 443
+      }
+    );
+    assert.deepStrictEqual(
+      getRequestAttributes({
+        method: "post",
+        protocol: "http:",
+        hostname: "localhost",
+        port: 8080,
+        pathname: "/"
+      }),
+      {
+        "http.request.method": "POST",
+        "url.full": "http://localhost:8080/",
+        "server.address": "localhost",
+        "server.port": 8080
+      }
+    );
+  });
+});